@@ -2,8 +2,87 @@
  * Animation Controller
  * Manages time-based animation of activities on the map
  */
+import {
+  getRecencyScore, calculateRouteStyle, darkenColor, getRouteColor, adaptColorToBasemap,
+  getActivityDuration, getDrawnIndex, HEAD_MARKER_RADIUS
+} from './routeStyle.js';
+import { getCometTrail, getBackgroundStyle, getTailStyle, TAIL_BANDS } from './cometTrail.js';
+import { FollowCamera } from './followCamera.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Replay modes. The calendar plays activities on the dates they happened;
+ * time of day lays them all on one 24-hour clock by local start time, so
+ * every 6am run sets off together. Speed (per second) and comet tail length
+ * are in speedUnitMs.
+ */
+export const REPLAY_MODES = {
+  calendar: { label: 'Calendar', speedUnitMs: DAY_MS, unitLabel: 'days', speedLabel: 'd/s', fadeWindowMs: 90 * DAY_MS },
+  'time-of-day': {
+    label: 'Time of day', speedUnitMs: 60 * 1000, unitLabel: 'min', speedLabel: 'min/s', fadeWindowMs: 3 * HOUR_MS
+  }
+};
+
+// Leaflet pane for comet tails and head markers, above every route
+const TRAIL_PANE = 'trailPane';
+
+// Day the time-of-day clock is laid out on - local midnight, so clock times
+// read as wall-clock time with getHours()/getMinutes()
+const CLOCK_DAY = new Date(2000, 0, 1);
+
+/**
+ * Wall-clock time an activity started, in ms after midnight
+ * (start_date_local is local time tagged with Z)
+ */
+function getLocalTimeOfDay(activity) {
+  const local = Date.parse(activity.start_date_local);
+  if (!isNaN(local)) {
+    return ((local % DAY_MS) + DAY_MS) % DAY_MS;
+  }
+  const date = new Date(activity.start_date);
+  return date - new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Clock time as HH:MM (24-hour)
+ */
+export function formatClockTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Point at a fractional index along coords
+ */
+function pointAt(coords, index) {
+  const whole = Math.floor(index);
+  const fraction = index - whole;
+  if (fraction === 0 || whole + 1 >= coords.length) return coords[whole];
+
+  const [lat1, lng1] = coords[whole];
+  const [lat2, lng2] = coords[whole + 1];
+  return [lat1 + (lat2 - lat1) * fraction, lng1 + (lng2 - lng1) * fraction];
+}
+
+/**
+ * Points between fractional indices `from` and `end`, interpolating the ends
+ */
+function slicePath(coords, from, end) {
+  const first = Math.ceil(from);
+  const whole = Math.floor(end);
+  let points = coords.slice(first, whole + 1);
+  if (from < first) {
+    points = [pointAt(coords, from)].concat(points);
+  }
+  if (end > whole && whole + 1 < coords.length) {
+    points.push(pointAt(coords, end));
+  }
+  return points;
+}
+
 export class AnimationController {
-  constructor(activities, map, getColorsFn, baseOpacity = 0.5) {
+  constructor(activities, map, getColorsFn, baseOpacity = 0.5, detailedCoords = null) {
     this.activities = activities;
     this.map = map;
     this.getColorsFn = getColorsFn || (() => ({
@@ -15,11 +94,37 @@ export class AnimationController {
       'default': '#888888'
     }));
     this.baseOpacity = baseOpacity; // Base opacity from activity density
+    this.detailedCoords = detailedCoords || new Map(); // activityId -> full-resolution [lat, lng] stream
+    this.streamTimes = new Map(); // activityId -> stream time offsets (s) matching detailedCoords
+    this._coordsCache = new Map(); // activityId -> decoded coords
+
+    // Shared with exports; null colors by activity type from getColorsFn
+    this.colorStrategy = null;
+
+    // Dark base maps lighten recent routes instead of darkening them
+    this.darkBasemap = false;
+
+    // Comet trails: head dots and fading tails on the newest routes (see setCometTrails)
+    this.cometTrails = false;
+    this.tailLength = 10; // In speed units - days, or clock minutes in time-of-day mode
+    if (map && !map.getPane(TRAIL_PANE)) {
+      map.createPane(TRAIL_PANE).style.zIndex = 450; // Over overlayPane (400)
+    }
 
-    // Sort activities by date
-    this.sortedActivities = [...activities].sort((a, b) =>
-      new Date(a.start_date) - new Date(b.start_date)
-    );
+    // CameraTrack that pans and zooms the map during playback (null leaves the map alone)
+    this.cameraTrack = null;
+    this.isMovingCamera = false; // True while _applyCamera moves the map
+
+    // Auto-follow camera fitted to the newest activities - replaces cameraTrack while on (see setFollowCamera)
+    this.followWindow = 0; // In speed units - days, or clock minutes in time-of-day mode (0 = off)
+    this.followViewport = null;
+    this.followCamera = null;
+
+    // Sorted by start on the timeline - see _initializeTimeline
+    this.sortedActivities = [...activities];
+
+    // 'calendar' or 'time-of-day' (see REPLAY_MODES and setReplayMode)
+    this.replayMode = 'calendar';
 
     // Animation state
     this.isPlaying = false;
@@ -31,7 +136,7 @@ export class AnimationController {
     this.lastFrameTime = null;
 
     // Visual state
-    this.activePolylines = new Map(); // activityId -> { polyline, progress }
+    this.activePolylines = new Map(); // activityId -> { polyline, tail, head, coords, drawnIndex, drawing, activity }
     this.fadeoutDuration = 5000; // ms to fade out old activities
     this.maxVisibleActivities = 100; // Limit for performance
 
@@ -44,7 +149,7 @@ export class AnimationController {
       min: 0.15 * baseOpacity / 0.5,
       max: 0.75 * baseOpacity / 0.5
     };
-    this.fadeWindowMs = 90 * 24 * 60 * 60 * 1000; // 3 months in ms - activities fade over this period
+    this.fadeWindowMs = REPLAY_MODES.calendar.fadeWindowMs; // Activities fade over this period (set per replay mode)
 
     // Grid for overlap detection (rounded lat/lng to group nearby segments)
     this.overlapGrid = new Map(); // "lat,lng" -> count
@@ -60,15 +165,160 @@ export class AnimationController {
   _initialize() {
     if (this.sortedActivities.length === 0) return;
 
-    // Set time range
-    this.startTime = new Date(this.sortedActivities[0].start_date);
-    this.endTime = new Date(this.sortedActivities[this.sortedActivities.length - 1].start_date);
-    this.currentTime = new Date(this.startTime);
+    this._initializeTimeline();
 
     // Pre-calculate overlap grid for all activities
     this._buildOverlapGrid();
   }
 
+  /**
+   * Order activities and set the time range for the current replay mode
+   */
+  _initializeTimeline() {
+    this.sortedActivities.sort((a, b) => this._getActivityStart(a) - this._getActivityStart(b));
+
+    // Runs to when the last activity finished, so it gets drawn completely
+    const { start, end } = this.getTimeRange();
+    this.startTime = start;
+    this.endTime = end;
+    this.currentTime = new Date(this.startTime);
+    this.fadeWindowMs = REPLAY_MODES[this.replayMode].fadeWindowMs;
+    this._buildFollowCamera();
+  }
+
+  /**
+   * Switch between calendar and time-of-day replay - restarts from the beginning
+   */
+  setReplayMode(mode) {
+    if (!REPLAY_MODES[mode]) return;
+
+    this.pause();
+    this._clearAllPolylines();
+    this.replayMode = mode;
+    if (this.sortedActivities.length > 0) {
+      this._initializeTimeline();
+    }
+
+    if (this.onTimeUpdate) {
+      this.onTimeUpdate(this.currentTime);
+    }
+  }
+
+  /**
+   * Turn comet trails on or off and set the tail length (days, or clock
+   * minutes in time-of-day mode) - redraws at the current time
+   */
+  setCometTrails(enabled, tailLength = this.tailLength) {
+    this.cometTrails = !!enabled;
+    if (tailLength > 0) {
+      this.tailLength = tailLength;
+    }
+    if (this.currentTime) {
+      this.seek(this.currentTime);
+    }
+  }
+
+  /**
+   * Turn the auto-follow camera on with a window length (days, or clock
+   * minutes in time-of-day mode), or off with 0. While on it overrides the
+   * camera keyframes.
+   * @param {{ width: number, height: number, offsetX?: number, offsetY?: number }} viewport -
+   *   Map pixels to fit the newest routes into (see FollowCamera)
+   */
+  setFollowCamera(windowLength, viewport = this.followViewport) {
+    this.followWindow = windowLength > 0 ? windowLength : 0;
+    this.followViewport = viewport;
+    this._buildFollowCamera();
+    if (this.currentTime) {
+      this._applyCamera();
+    }
+  }
+
+  _buildFollowCamera() {
+    if (!this.followWindow || !this.followViewport || this.sortedActivities.length === 0) {
+      this.followCamera = null;
+      return;
+    }
+
+    const routes = this.sortedActivities.map(activity => ({
+      start: this._getActivityStart(activity),
+      coords: this._getActivityCoords(activity)
+    }));
+    this.followCamera = new FollowCamera(routes, {
+      windowMs: this.followWindow * REPLAY_MODES[this.replayMode].speedUnitMs,
+      viewport: this.followViewport,
+      startTime: this.startTime.getTime()
+    });
+  }
+
+  /**
+   * Camera driving the view: the follow camera while on, otherwise the keyframes (null leaves the map alone)
+   * @returns {FollowCamera|CameraTrack|null}
+   */
+  getCamera() {
+    return this.followCamera || this.cameraTrack;
+  }
+
+  /**
+   * Tail length in timeline ms
+   */
+  getTailMs() {
+    return this.tailLength * REPLAY_MODES[this.replayMode].speedUnitMs;
+  }
+
+  /**
+   * When an activity starts on the timeline (ms) - its start date, or in
+   * time-of-day mode its local start time on the clock day
+   */
+  _getActivityStart(activity) {
+    if (this.replayMode === 'time-of-day') {
+      return CLOCK_DAY.getTime() + getLocalTimeOfDay(activity);
+    }
+    return new Date(activity.start_date).getTime();
+  }
+
+  /**
+   * Timeline span from the first start to the last finish of the given
+   * activities (whole hours on the time-of-day clock)
+   * @returns {{ start: Date, end: Date }|null}
+   */
+  getTimeRange(activities = this.sortedActivities) {
+    if (activities.length === 0) return null;
+
+    let start = Infinity;
+    let end = -Infinity;
+    activities.forEach(activity => {
+      const activityStart = this._getActivityStart(activity);
+      start = Math.min(start, activityStart);
+      end = Math.max(end, activityStart + getActivityDuration(activity));
+    });
+
+    if (this.replayMode === 'time-of-day') {
+      const origin = CLOCK_DAY.getTime();
+      start = origin + Math.floor((start - origin) / HOUR_MS) * HOUR_MS;
+      end = origin + Math.ceil((end - origin) / HOUR_MS) * HOUR_MS;
+    }
+
+    return { start: new Date(start), end: new Date(end) };
+  }
+
+  /**
+   * First and last activity dates, whatever the replay mode
+   * @returns {{ start: Date, end: Date }|null}
+   */
+  getDateRange() {
+    if (this.sortedActivities.length === 0) return null;
+
+    let start = Infinity;
+    let end = -Infinity;
+    this.sortedActivities.forEach(activity => {
+      const date = new Date(activity.start_date).getTime();
+      start = Math.min(start, date);
+      end = Math.max(end, date);
+    });
+    return { start: new Date(start), end: new Date(end) };
+  }
+
   /**
    * Build overlap grid by counting how many activities pass through each cell
    */
@@ -76,10 +326,7 @@ export class AnimationController {
     this.overlapGrid.clear();
 
     this.sortedActivities.forEach(activity => {
-      const polylineStr = activity.map?.summary_polyline;
-      if (!polylineStr) return;
-
-      const coords = this._decodePolyline(polylineStr);
+      const coords = this._getActivityCoords(activity);
       const visitedCells = new Set(); // Track cells for this activity to avoid double-counting
 
       coords.forEach(([lat, lng]) => {
@@ -92,7 +339,11 @@ export class AnimationController {
     });
 
     // Find max overlap for normalization
-    this.maxOverlap = Math.max(...this.overlapGrid.values(), 1);
+    // (loop rather than spread - full-resolution streams can produce more cells than the argument limit)
+    this.maxOverlap = 1;
+    this.overlapGrid.forEach(count => {
+      if (count > this.maxOverlap) this.maxOverlap = count;
+    });
   }
 
   /**
@@ -131,10 +382,7 @@ export class AnimationController {
    * Calculate recency score based on current animation time (0 = faded, 1 = recent)
    */
   _getRecencyScore(activityDate, currentTime) {
-    const age = currentTime - activityDate;
-    if (age <= 0) return 1;
-    if (age >= this.fadeWindowMs) return 0;
-    return 1 - (age / this.fadeWindowMs);
+    return getRecencyScore(currentTime - activityDate, this.fadeWindowMs);
   }
 
   /**
@@ -143,33 +391,26 @@ export class AnimationController {
   _calculateStyle(activityDate, coords, currentTime) {
     const recencyScore = this._getRecencyScore(activityDate, currentTime);
     const overlapScore = this._getActivityOverlapScore(coords);
+    const style = calculateRouteStyle(recencyScore, overlapScore, this._getStyleRanges());
+    // With comet trails the route layers are the background - the tail carries the highlight
+    return this.cometTrails ? getBackgroundStyle(style) : style;
+  }
 
-    // Recency: 25% to 100%
-    const recencyOpacity = this.recencyOpacityRange.min +
-      recencyScore * (this.recencyOpacityRange.max - this.recencyOpacityRange.min);
-
-    // Overlap: 25% to 75%
-    const overlapOpacity = this.overlapOpacityRange.min +
-      overlapScore * (this.overlapOpacityRange.max - this.overlapOpacityRange.min);
-
-    // Combine: recency is primary, overlap adds bonus
-    const opacity = Math.min(1, recencyOpacity * 0.7 + overlapOpacity * 0.3);
-
-    // Weight: thicker for recent activities (2.5 -> 1)
-    const weight = 1 + recencyScore * 1.5;
-
-    return { opacity, weight, recencyScore };
+  /**
+   * Opacity ranges used by calculateRouteStyle (also shipped to the export renderer)
+   */
+  _getStyleRanges() {
+    return {
+      recencyOpacityRange: this.recencyOpacityRange,
+      overlapOpacityRange: this.overlapOpacityRange
+    };
   }
 
   /**
    * Darken a color by a percentage
    */
   _darkenColor(hex, percent) {
-    const num = parseInt(hex.replace('#', ''), 16);
-    const r = Math.max(0, (num >> 16) * (1 - percent));
-    const g = Math.max(0, ((num >> 8) & 0x00FF) * (1 - percent));
-    const b = Math.max(0, (num & 0x0000FF) * (1 - percent));
-    return `#${((1 << 24) + (Math.round(r) << 16) + (Math.round(g) << 8) + Math.round(b)).toString(16).slice(1)}`;
+    return darkenColor(hex, percent);
   }
 
   /**
@@ -201,6 +442,7 @@ export class AnimationController {
     this.pause();
     this.currentTime = new Date(this.startTime);
     this._clearAllPolylines();
+    this._applyCamera();
     if (this.onTimeUpdate) {
       this.onTimeUpdate(this.currentTime);
     }
@@ -218,6 +460,7 @@ export class AnimationController {
 
     // Render all activities up to this point
     this._renderActivitiesUpToTime(this.currentTime);
+    this._applyCamera();
 
     if (this.onTimeUpdate) {
       this.onTimeUpdate(this.currentTime);
@@ -229,7 +472,7 @@ export class AnimationController {
   }
 
   /**
-   * Set animation speed (days per second)
+   * Set animation speed (days per second, or clock minutes per second in time-of-day mode)
    */
   setSpeed(daysPerSecond) {
     this.speed = Math.max(0.1, Math.min(daysPerSecond, 100));
@@ -246,7 +489,7 @@ export class AnimationController {
     this.lastFrameTime = now;
 
     // Update current time based on speed
-    const msToAdvance = deltaTime * this.speed * 24 * 60 * 60 * 1000 / 1000; // Convert days/sec to ms
+    const msToAdvance = deltaTime * this.speed * REPLAY_MODES[this.replayMode].speedUnitMs / 1000; // Units/sec to ms
     this.currentTime = new Date(this.currentTime.getTime() + msToAdvance);
 
     // Check if animation is complete
@@ -254,6 +497,7 @@ export class AnimationController {
       this.currentTime = new Date(this.endTime);
       this.pause();
       this._renderActivitiesUpToTime(this.currentTime);
+      this._applyCamera();
       if (this.onTimeUpdate) {
         this.onTimeUpdate(this.currentTime);
       }
@@ -262,6 +506,7 @@ export class AnimationController {
 
     // Render activities
     this._updateVisibleActivities();
+    this._applyCamera();
 
     // Notify time update
     if (this.onTimeUpdate) {
@@ -272,34 +517,46 @@ export class AnimationController {
     this.animationFrameId = requestAnimationFrame(() => this._animate());
   }
 
+  /**
+   * Move the map to the camera track's view at the current time
+   */
+  _applyCamera() {
+    const view = this.getCamera()?.getView(this.currentTime.getTime());
+    if (!view) return;
+
+    // Leaflet snaps to whole zoom levels by default - let the camera zoom smoothly
+    const { zoomSnap } = this.map.options;
+    this.map.options.zoomSnap = 0;
+    this.isMovingCamera = true;
+    try {
+      this.map.setView([view.lat, view.lng], view.zoom, { animate: false });
+    } finally {
+      this.isMovingCamera = false;
+      this.map.options.zoomSnap = zoomSnap;
+    }
+  }
+
   /**
    * Update which activities are visible based on current time
    */
   _updateVisibleActivities() {
     // Find new activities that should appear
     this.sortedActivities.forEach(activity => {
-      const activityDate = new Date(activity.start_date);
-
-      if (activityDate <= this.currentTime && !this.activePolylines.has(activity.id)) {
+      if (this._getActivityStart(activity) <= this.currentTime && !this.activePolylines.has(activity.id)) {
         this._addActivity(activity);
       }
     });
 
     // Update style of all visible activities based on current time
     this.activePolylines.forEach((data) => {
-      if (data.drawing && data.progress < 1) {
-        // Draw instantly - show all completed activities
-        data.progress = 1;
-        this._updatePolylineProgress(data);
-        data.drawing = false;
+      const style = this._calculateStyle(this._getActivityStart(data.activity), data.coords, this.currentTime);
+
+      if (data.drawing) {
+        // Trace the route over the activity's recorded time
+        this._updateRouteGeometry(data, this.currentTime, style);
       }
 
-      // Update style based on current time
-      const activityDate = new Date(data.activity.start_date);
-      const style = this._calculateStyle(activityDate, data.coords, this.currentTime);
-      const baseColor = this._getActivityColor(data.activity.type);
-      const color = this._darkenColor(baseColor, style.recencyScore * 0.3);
-      data.polyline.setStyle({ opacity: style.opacity, weight: style.weight, color: color });
+      this._setRouteStyle(data.polyline, style);
     });
 
     // Note: We keep all activities visible during animation
@@ -310,56 +567,210 @@ export class AnimationController {
    * Add a new activity to the map
    */
   _addActivity(activity) {
-    const polylineStr = activity.map?.summary_polyline;
-    if (!polylineStr) return;
-
-    const coords = this._decodePolyline(polylineStr);
+    const coords = this._getActivityCoords(activity);
     if (coords.length === 0) return;
 
-    const baseColor = this._getActivityColor(activity.type);
-    const activityDate = new Date(activity.start_date);
-    const style = this._calculateStyle(activityDate, coords, this.currentTime);
+    const style = this._calculateStyle(this._getActivityStart(activity), coords, this.currentTime);
 
-    // Darken color for recent activities (up to 30% darker)
-    const color = this._darkenColor(baseColor, style.recencyScore * 0.3);
+    // Create polyline - traced progressively until the activity's recorded finish
+    const polyline = this._createRouteLayer(activity, coords, style, 'animated-activity');
+    this._trackRoute(activity, coords, polyline, this.currentTime, style);
 
-    // Create polyline - will be drawn immediately
-    const polyline = L.polyline(coords, {
-      color: color,
-      weight: style.weight,
-      opacity: style.opacity,
-      className: 'animated-activity'
-    }).addTo(this.map);
+    if (this.onActivityAppear) {
+      this.onActivityAppear(activity);
+    }
+  }
+
+  /**
+   * Create the map layer for an activity: one polyline, or a group of
+   * polylines (one per color run) when the color strategy colors segments
+   */
+  _createRouteLayer(activity, coords, style, className = undefined) {
+    const runs = this.colorStrategy?.getSegmentRuns(activity, coords.length);
+    const lines = runs || [{ from: 0, to: coords.length - 1, color: this._getActivityColor(activity) }];
+
+    const polylines = lines.map(({ from, to, color }) => L.polyline(coords.slice(from, to + 1), {
+      baseColor: color, // Before recency shading - see _setRouteStyle
+      pointRange: [from, to], // Into coords - see _updatePolylineProgress
+      className
+    }));
+    const layer = polylines.length === 1 ? polylines[0] : L.featureGroup(polylines);
+    this._setRouteStyle(layer, style);
+    layer.addTo(this.map);
 
-    // Add popup
-    polyline.bindPopup(`
+    layer.bindPopup(`
       <strong>${activity.name}</strong><br>
       Type: ${activity.type}<br>
       Distance: ${(activity.distance / 1000).toFixed(2)} km<br>
       Date: ${new Date(activity.start_date).toLocaleDateString()}
     `);
 
-    // Store with metadata - already fully drawn
-    this.activePolylines.set(activity.id, {
+    return layer;
+  }
+
+  /**
+   * Apply recency/overlap style to a route layer, shading each polyline's own color
+   * (recent routes stand out - darker on light maps, lighter on dark ones)
+   */
+  _setRouteStyle(layer, style) {
+    const apply = (polyline) => polyline.setStyle({
+      opacity: style.opacity,
+      weight: style.weight,
+      color: getRouteColor(polyline.options.baseColor, style.recencyScore, this.darkBasemap)
+    });
+
+    if (layer instanceof L.FeatureGroup) {
+      layer.eachLayer(apply);
+    } else {
+      apply(layer);
+    }
+  }
+
+  /**
+   * Register a route layer as visible, cut back to how far the activity had got by `time`
+   */
+  _trackRoute(activity, coords, polyline, time, style) {
+    const data = {
       polyline,
+      tail: null,
+      head: null,
       coords,
-      progress: 1,
-      drawing: false,
+      drawnIndex: coords.length - 1,
+      drawing: false, // The layer starts out showing the whole route
       activity
+    };
+    this._updateRouteGeometry(data, time, style);
+    this.activePolylines.set(activity.id, data);
+  }
+
+  /**
+   * Cut a route back to how far it had got by `time`, and move its tail and
+   * head marker. `drawing` stays true while any of that still changes.
+   */
+  _updateRouteGeometry(data, time, style) {
+    const { activity, coords } = data;
+    const last = coords.length - 1;
+    const wasDrawing = data.drawing;
+
+    data.drawnIndex = this._getDrawnIndex(activity, coords, time);
+    let routeEnd = data.drawnIndex;
+    let bands = null;
+    let head = null;
+
+    if (this.cometTrails) {
+      const times = this._getActivityTimes(activity, coords);
+      const trail = getCometTrail(
+        time - this._getActivityStart(activity), getActivityDuration(activity, times), coords.length, times, this.getTailMs()
+      );
+      if (trail) {
+        routeEnd = trail.backgroundEnd;
+        bands = trail.bands;
+        head = trail.head;
+      }
+      data.drawing = trail !== null;
+    } else {
+      data.drawing = data.drawnIndex < last;
+      if (data.drawing && this.replayMode === 'time-of-day') {
+        head = data.drawnIndex;
+      }
+    }
+
+    // Complete from the start - the layer already shows the whole route
+    if (!wasDrawing && !data.drawing) return;
+
+    this._updatePolylineProgress(data, data.drawing ? routeEnd : last);
+    this._updateTail(data, bands, style);
+    this._updateHeadMarker(data, head);
+  }
+
+  /**
+   * Show the tail bands (newest first) over the route, or remove them
+   */
+  _updateTail(data, bands, style) {
+    if (!bands || bands.length === 0) {
+      if (data.tail) {
+        data.tail.forEach(line => line.remove());
+        data.tail = null;
+      }
+      return;
+    }
+
+    if (!data.tail) {
+      data.tail = Array.from({ length: TAIL_BANDS }, () =>
+        L.polyline([], { pane: TRAIL_PANE, interactive: false }).addTo(this.map)
+      );
+    }
+
+    const tailStyle = getTailStyle(style);
+    const color = getRouteColor(this._getActivityColor(data.activity), tailStyle.recencyScore, this.darkBasemap);
+    data.tail.forEach((line, i) => {
+      const band = bands[i];
+      line.setLatLngs(band ? slicePath(data.coords, band.from, band.to) : []);
+      line.setStyle({ color, weight: tailStyle.weight, opacity: band ? tailStyle.opacity * band.opacity : 0 });
     });
+  }
 
-    if (this.onActivityAppear) {
-      this.onActivityAppear(activity);
+  /**
+   * Keep a dot on a route's head (index), or remove it (null)
+   */
+  _updateHeadMarker(data, index) {
+    if (index === null || index <= 0) {
+      if (data.head) {
+        data.head.remove();
+        data.head = null;
+      }
+      return;
+    }
+
+    const position = pointAt(data.coords, index);
+    if (data.head) {
+      data.head.setLatLng(position);
+      return;
     }
+
+    data.head = L.circleMarker(position, {
+      pane: TRAIL_PANE,
+      radius: HEAD_MARKER_RADIUS,
+      weight: 2,
+      color: '#ffffff',
+      fillColor: adaptColorToBasemap(this._getActivityColor(data.activity), this.darkBasemap),
+      fillOpacity: 1,
+      interactive: false
+    }).addTo(this.map);
+  }
+
+  /**
+   * Stream timestamps for an activity's route, when it's drawn from a stream that has them
+   */
+  _getActivityTimes(activity, coords) {
+    const times = this.streamTimes.get(activity.id);
+    return times && this.detailedCoords.has(activity.id) && times.length === coords.length ? times : null;
+  }
+
+  /**
+   * Fractional point index the activity has reached at `time` (see getDrawnIndex)
+   */
+  _getDrawnIndex(activity, coords, time) {
+    const times = this._getActivityTimes(activity, coords);
+    const elapsed = time - this._getActivityStart(activity);
+    return getDrawnIndex(elapsed, getActivityDuration(activity, times), coords.length, times);
   }
 
   /**
-   * Update polyline based on drawing progress
+   * Show the route up to a fractional point index (each polyline of a
+   * segment-colored group covers its own pointRange)
    */
-  _updatePolylineProgress(data) {
-    const numPoints = Math.floor(data.coords.length * data.progress);
-    const visibleCoords = data.coords.slice(0, Math.max(1, numPoints));
-    data.polyline.setLatLngs(visibleCoords);
+  _updatePolylineProgress(data, end) {
+    const apply = (polyline) => {
+      const [from, to] = polyline.options.pointRange;
+      polyline.setLatLngs(end <= from ? [] : slicePath(data.coords, from, Math.min(to, end)));
+    };
+
+    if (data.polyline instanceof L.FeatureGroup) {
+      data.polyline.eachLayer(apply);
+    } else {
+      apply(data.polyline);
+    }
   }
 
   /**
@@ -367,38 +778,14 @@ export class AnimationController {
    */
   _renderActivitiesUpToTime(time) {
     this.sortedActivities.forEach(activity => {
-      const activityDate = new Date(activity.start_date);
-      if (activityDate <= time && !this.activePolylines.has(activity.id)) {
-        const polylineStr = activity.map?.summary_polyline;
-        if (!polylineStr) return;
-
-        const coords = this._decodePolyline(polylineStr);
+      const start = this._getActivityStart(activity);
+      if (start <= time && !this.activePolylines.has(activity.id)) {
+        const coords = this._getActivityCoords(activity);
         if (coords.length === 0) return;
 
-        const baseColor = this._getActivityColor(activity.type);
-        const style = this._calculateStyle(activityDate, coords, time);
-        const color = this._darkenColor(baseColor, style.recencyScore * 0.3);
-
-        const polyline = L.polyline(coords, {
-          color: color,
-          weight: style.weight,
-          opacity: style.opacity
-        }).addTo(this.map);
-
-        polyline.bindPopup(`
-          <strong>${activity.name}</strong><br>
-          Type: ${activity.type}<br>
-          Distance: ${(activity.distance / 1000).toFixed(2)} km<br>
-          Date: ${new Date(activity.start_date).toLocaleDateString()}
-        `);
-
-        this.activePolylines.set(activity.id, {
-          polyline,
-          coords,
-          progress: 1,
-          drawing: false,
-          activity
-        });
+        const style = this._calculateStyle(start, coords, time);
+        const polyline = this._createRouteLayer(activity, coords, style);
+        this._trackRoute(activity, coords, polyline, time, style);
       }
     });
   }
@@ -412,12 +799,21 @@ export class AnimationController {
 
     for (const [activityId, data] of this.activePolylines) {
       if (removed >= toRemove) break;
-      data.polyline.remove();
+      this._removeRoute(data);
       this.activePolylines.delete(activityId);
       removed++;
     }
   }
 
+  /**
+   * Remove a route layer with its tail and head marker
+   */
+  _removeRoute(data) {
+    data.polyline.remove();
+    if (data.tail) data.tail.forEach(line => line.remove());
+    if (data.head) data.head.remove();
+  }
+
   /**
    * Clear all polylines from map
    */
@@ -430,17 +826,33 @@ export class AnimationController {
     }
 
     this.activePolylines.forEach(data => {
-      data.polyline.remove();
+      this._removeRoute(data);
     });
     this.activePolylines.clear();
   }
 
   /**
-   * Get color for activity type
+   * Get the base color for a whole activity from the color strategy (by type without one)
    */
-  _getActivityColor(type) {
+  _getActivityColor(activity) {
+    if (this.colorStrategy) {
+      return this.colorStrategy.getActivityColor(activity);
+    }
+
     const colors = this.getColorsFn();
-    return colors[type] || colors.default;
+    return colors[activity.type] || colors.default;
+  }
+
+  /**
+   * Get an activity's route, preferring the full-resolution stream over the summary polyline
+   */
+  _getActivityCoords(activity) {
+    let coords = this._coordsCache.get(activity.id);
+    if (!coords) {
+      coords = this.detailedCoords.get(activity.id) || this._decodePolyline(activity.map?.summary_polyline);
+      this._coordsCache.set(activity.id, coords);
+    }
+    return coords;
   }
 
   /**
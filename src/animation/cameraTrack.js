@@ -0,0 +1,111 @@
+/**
+ * Camera track shared by playback and export
+ * Keyframes pin a map view ({ lat, lng, zoom }, zoom may be fractional) to a
+ * time on the animation timeline; in between, the view is eased from one
+ * keyframe to the next. Panning is interpolated in Web Mercator so the camera
+ * moves in straight lines on the map, and zoom is interpolated linearly (an
+ * even zoom rate on screen). Before the first and after the last keyframe the
+ * camera holds still.
+ * Pure data - no Leaflet or DOM access.
+ */
+
+/**
+ * Easing curves for the move into a keyframe (t 0-1 -> 0-1)
+ */
+export const EASINGS = {
+  'ease-in-out': { label: 'Ease in-out', fn: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2) },
+  'ease-in': { label: 'Ease in', fn: (t) => t * t * t },
+  'ease-out': { label: 'Ease out', fn: (t) => 1 - Math.pow(1 - t, 3) },
+  linear: { label: 'Linear', fn: (t) => t }
+};
+
+const DEFAULT_EASING = 'ease-in-out';
+
+// Web Mercator y (radians) and back
+const toMercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2));
+const fromMercatorY = (y) => (2 * Math.atan(Math.exp(y)) - Math.PI / 2) * 180 / Math.PI;
+
+export class CameraTrack {
+  /**
+   * @param {Array<{ time: number, lat: number, lng: number, zoom: number, easing?: string }>} keyframes
+   */
+  constructor(keyframes = []) {
+    this.keyframes = []; // Sorted by time
+    keyframes.forEach(keyframe => this.add(keyframe));
+  }
+
+  get isEmpty() {
+    return this.keyframes.length === 0;
+  }
+
+  /**
+   * Add a keyframe, replacing any at the same time
+   * @param {{ time: number, lat: number, lng: number, zoom: number, easing?: string }} keyframe - time in ms
+   */
+  add({ time, lat, lng, zoom, easing = DEFAULT_EASING }) {
+    const keyframe = { time, lat, lng, zoom, easing: EASINGS[easing] ? easing : DEFAULT_EASING };
+    this.keyframes = this.keyframes.filter(k => k.time !== time);
+    this.keyframes.push(keyframe);
+    this.keyframes.sort((a, b) => a.time - b.time);
+    return keyframe;
+  }
+
+  remove(index) {
+    this.keyframes.splice(index, 1);
+  }
+
+  clear() {
+    this.keyframes = [];
+  }
+
+  /**
+   * Camera view at a timeline time, or null without keyframes
+   * @param {number} time - ms
+   * @returns {{ lat: number, lng: number, zoom: number }|null}
+   */
+  getView(time) {
+    const { keyframes } = this;
+    if (keyframes.length === 0) return null;
+
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (time <= first.time) return { lat: first.lat, lng: first.lng, zoom: first.zoom };
+    if (time >= last.time) return { lat: last.lat, lng: last.lng, zoom: last.zoom };
+
+    let i = 1;
+    while (keyframes[i].time < time) i++;
+    const from = keyframes[i - 1];
+    const to = keyframes[i];
+
+    const t = EASINGS[to.easing].fn((time - from.time) / (to.time - from.time));
+    const fromY = toMercatorY(from.lat);
+    return {
+      lat: fromMercatorY(fromY + (toMercatorY(to.lat) - fromY) * t),
+      lng: from.lng + (to.lng - from.lng) * t,
+      zoom: from.zoom + (to.zoom - from.zoom) * t
+    };
+  }
+
+  /**
+   * Compact form for the URL hash: time (minutes), lat, lng, zoom and easing
+   * per keyframe, keyframes separated by ';'
+   */
+  serialize() {
+    return this.keyframes
+      .map(({ time, lat, lng, zoom, easing }) =>
+        [Math.round(time / 60000), lat.toFixed(5), lng.toFixed(5), zoom.toFixed(2), easing].join(','))
+      .join(';');
+  }
+
+  /**
+   * Rebuild a track from serialize() output, skipping malformed keyframes
+   */
+  static parse(text) {
+    const keyframes = (text || '').split(';').map(part => {
+      const [minutes, lat, lng, zoom, easing] = part.split(',');
+      const keyframe = { time: parseInt(minutes) * 60000, lat: parseFloat(lat), lng: parseFloat(lng), zoom: parseFloat(zoom), easing };
+      return [keyframe.time, keyframe.lat, keyframe.lng, keyframe.zoom].every(Number.isFinite) ? keyframe : null;
+    });
+    return new CameraTrack(keyframes.filter(Boolean));
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Route color strategy shared by on-screen playback, GIF/video export and posters
+ * Colors come from a category (activity type, athlete) or from data mapped onto a
+ * continuous colormap - per activity (average speed, heart rate, climbing, distance,
+ * year) or per segment from detailed streams (pace, heart rate, grade).
+ * Pure data in, hex colors out - no Leaflet or DOM access.
+ */
+
+// Sequential colormap, low -> high (blue, cyan, green, yellow, orange, red)
+const COLORMAP = ['#3b4cc0', '#2c9ed8', '#35b779', '#c9d93b', '#f89540', '#d62728'];
+
+// Segment colors are quantized so consecutive segments merge into a few runs
+const SEGMENT_BUCKETS = 16;
+
+// Points either side used to smooth per-segment pace and grade (GPS noise)
+const SMOOTHING_WINDOW = 5;
+
+// Stream points sampled per activity when computing the segment color range
+const RANGE_SAMPLES_PER_ACTIVITY = 50;
+
+// Neutral color for activities without the data a mode needs
+export const NO_DATA_COLOR = '#999999';
+
+const formatPace = (metersPerSecond) => {
+  if (!metersPerSecond) return '–';
+  const secondsPerKm = Math.round(1000 / metersPerSecond);
+  return `${Math.floor(secondsPerKm / 60)}:${String(secondsPerKm % 60).padStart(2, '0')} /km`;
+};
+
+/**
+ * Color modes. Data modes give a value getter and a legend formatter; segment
+ * modes compute one value per stream point and fall back to `activityValue`
+ * (mapped onto the same scale) for activities without streams.
+ */
+export const COLOR_MODES = {
+  type: { label: 'Activity type', kind: 'category' },
+  athlete: { label: 'Athlete', kind: 'category' },
+  speed: {
+    label: 'Average speed',
+    kind: 'activity',
+    value: (a) => a.average_speed || (a.moving_time ? a.distance / a.moving_time : null),
+    format: (v) => `${(v * 3.6).toFixed(1)} km/h`
+  },
+  heartrate: {
+    label: 'Average heart rate',
+    kind: 'activity',
+    value: (a) => a.average_heartrate || null,
+    format: (v) => `${Math.round(v)} bpm`
+  },
+  elevation: {
+    label: 'Elevation gain',
+    kind: 'activity',
+    value: (a) => a.total_elevation_gain ?? null,
+    format: (v) => `${Math.round(v)} m`
+  },
+  distance: {
+    label: 'Distance',
+    kind: 'activity',
+    value: (a) => a.distance || null,
+    format: (v) => `${(v / 1000).toFixed(v < 10000 ? 1 : 0)} km`
+  },
+  year: {
+    label: 'Year',
+    kind: 'activity',
+    value: (a) => new Date(a.start_date_local || a.start_date).getFullYear(),
+    format: (v) => String(Math.round(v)),
+    fullRange: true // Every year is meaningful - no outlier trimming
+  },
+  pace: {
+    label: 'Pace',
+    kind: 'segment',
+    segmentValues: (stream) => smoothedRate(stream.distance, stream.time),
+    activityValue: (a) => a.average_speed || (a.moving_time ? a.distance / a.moving_time : null),
+    format: formatPace
+  },
+  'segment-heartrate': {
+    label: 'Heart rate',
+    kind: 'segment',
+    segmentValues: (stream) => (stream.heartrate?.length ? stream.heartrate : null),
+    activityValue: (a) => a.average_heartrate || null,
+    format: (v) => `${Math.round(v)} bpm`
+  },
+  grade: {
+    label: 'Grade',
+    kind: 'segment',
+    segmentValues: (stream) => {
+      const rise = smoothedRate(stream.altitude, stream.distance);
+      return rise && rise.map(v => v * 100);
+    },
+    activityValue: () => null,
+    format: (v) => `${v > 0 ? '+' : ''}${Math.round(v)}%`,
+    range: { min: -10, max: 10 } // Fixed so uphill and downhill read the same everywhere
+  }
+};
+
+/**
+ * Color at t (0-1) along the colormap
+ */
+export function sampleColormap(t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const scaled = clamped * (COLORMAP.length - 1);
+  const i = Math.min(COLORMAP.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+
+  const a = parseInt(COLORMAP[i].slice(1), 16);
+  const b = parseInt(COLORMAP[i + 1].slice(1), 16);
+  const mix = (shift) => Math.round(((a >> shift) & 0xFF) * (1 - f) + ((b >> shift) & 0xFF) * f);
+  return `#${((1 << 24) + (mix(16) << 16) + (mix(8) << 8) + mix(0)).toString(16).slice(1)}`;
+}
+
+/**
+ * d(numerator)/d(denominator) at every point, over a window of points either
+ * side - e.g. speed from distance/time, grade from altitude/distance
+ */
+function smoothedRate(numerator, denominator) {
+  if (!numerator?.length || !denominator?.length || numerator.length !== denominator.length) {
+    return null;
+  }
+
+  const n = numerator.length;
+  const rates = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const from = Math.max(0, i - SMOOTHING_WINDOW);
+    const to = Math.min(n - 1, i + SMOOTHING_WINDOW);
+    const delta = denominator[to] - denominator[from];
+    rates[i] = delta > 0 ? (numerator[to] - numerator[from]) / delta : 0;
+  }
+  return rates;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+export class ColorStrategy {
+  /**
+   * @param {string} mode - Key of COLOR_MODES
+   * @param {Object} options
+   * @param {Array} options.activities - Activities being shown (sets the data range)
+   * @param {Object} options.typeColors - Activity type -> color
+   * @param {Object} options.athleteColors - athlete_id -> color
+   * @param {Map} options.streams - activityId -> { latlng, time, distance, heartrate, altitude }
+   */
+  constructor(mode, { activities = [], typeColors = {}, athleteColors = {}, streams = new Map() } = {}) {
+    this.mode = COLOR_MODES[mode] ? mode : 'type';
+    this.config = COLOR_MODES[this.mode];
+    this.typeColors = typeColors;
+    this.athleteColors = athleteColors;
+    this.streams = streams;
+    this._segmentCache = new Map(); // activityId -> per-point values (or null)
+
+    this.range = this.config.kind === 'category' ? null : this._computeRange(activities);
+  }
+
+  /**
+   * Whether routes are colored segment by segment (see getSegmentRuns)
+   */
+  get isSegmented() {
+    return this.config.kind === 'segment';
+  }
+
+  /**
+   * Whether colors come from a continuous scale (see getLegend)
+   */
+  get isScale() {
+    return this.config.kind !== 'category';
+  }
+
+  /**
+   * Single color for a whole activity (segment modes: the fallback without streams)
+   */
+  getActivityColor(activity) {
+    const { kind } = this.config;
+
+    if (kind === 'category') {
+      if (this.mode === 'athlete' && this.athleteColors[activity.athlete_id]) {
+        return this.athleteColors[activity.athlete_id];
+      }
+      return this.typeColors[activity.type] || this.typeColors.default || NO_DATA_COLOR;
+    }
+
+    const value = kind === 'segment' ? this.config.activityValue(activity) : this.config.value(activity);
+    return this._colorForValue(value);
+  }
+
+  /**
+   * Runs of consecutive segments sharing a color, as point index ranges into
+   * the activity's detailed coordinates. Null when the activity should be
+   * drawn in one color (not a segment mode, or no usable stream).
+   * @param {number} pointCount - Length of the coordinates being drawn
+   * @returns {Array<{ color: string, from: number, to: number }>|null}
+   */
+  getSegmentRuns(activity, pointCount) {
+    if (!this.isSegmented) return null;
+
+    const values = this._getSegmentValues(activity);
+    if (!values || values.length !== pointCount || pointCount < 2) return null;
+
+    const runs = [];
+    let current = null;
+    for (let i = 1; i < pointCount; i++) {
+      // Segment i-1 -> i takes the value at its end point
+      const bucket = this._bucket(values[i]);
+      if (current && current.bucket === bucket) {
+        current.to = i;
+      } else {
+        current = { bucket, from: i - 1, to: i };
+        runs.push(current);
+      }
+    }
+
+    return runs.map(({ bucket, from, to }) => ({
+      color: bucket === null ? NO_DATA_COLOR : sampleColormap((bucket + 0.5) / SEGMENT_BUCKETS),
+      from,
+      to
+    }));
+  }
+
+  /**
+   * Scale legend for data modes, or null for category modes
+   * @returns {{ title: string, colors: string[], ticks: Array<{ position: number, label: string }> }|null}
+   */
+  getLegend() {
+    if (!this.isScale || !this.range) return null;
+
+    const { min, max } = this.range;
+    const ticks = [0, 0.5, 1].map(position => ({
+      position,
+      label: this.config.format(min + (max - min) * position)
+    }));
+    return { title: this.config.label, colors: [...COLORMAP], ticks };
+  }
+
+  /**
+   * Discrete legend entries along the scale (for swatch legends such as posters)
+   * @returns {Array<{ name: string, color: string }>}
+   */
+  getLegendEntries(count = 5) {
+    if (!this.isScale || !this.range) return [];
+
+    const { min, max } = this.range;
+    return Array.from({ length: count }, (_, i) => {
+      const t = i / (count - 1);
+      return { name: this.config.format(min + (max - min) * t), color: sampleColormap(t) };
+    });
+  }
+
+  _getSegmentValues(activity) {
+    if (!this._segmentCache.has(activity.id)) {
+      const stream = this.streams.get(activity.id);
+      this._segmentCache.set(activity.id, stream ? this.config.segmentValues(stream) : null);
+    }
+    return this._segmentCache.get(activity.id);
+  }
+
+  _normalize(value) {
+    const { min, max } = this.range;
+    return max > min ? (value - min) / (max - min) : 0.5;
+  }
+
+  _bucket(value) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    return Math.min(SEGMENT_BUCKETS - 1, Math.floor(Math.min(1, Math.max(0, this._normalize(value))) * SEGMENT_BUCKETS));
+  }
+
+  _colorForValue(value) {
+    if (value === null || value === undefined || !Number.isFinite(value) || !this.range) {
+      return NO_DATA_COLOR;
+    }
+    return sampleColormap(this._normalize(value));
+  }
+
+  /**
+   * Value range for the scale - 5th to 95th percentile so one outlier doesn't
+   * squash everything else into a single color
+   */
+  _computeRange(activities) {
+    if (this.config.range) return this.config.range;
+
+    const values = [];
+    activities.forEach(activity => {
+      if (this.isSegmented) {
+        const segmentValues = this._getSegmentValues(activity);
+        if (segmentValues) {
+          const step = Math.max(1, Math.floor(segmentValues.length / RANGE_SAMPLES_PER_ACTIVITY));
+          for (let i = 0; i < segmentValues.length; i += step) {
+            if (Number.isFinite(segmentValues[i]) && segmentValues[i] > 0) values.push(segmentValues[i]);
+          }
+          return;
+        }
+      }
+      const value = this.isSegmented ? this.config.activityValue(activity) : this.config.value(activity);
+      if (value !== null && value !== undefined && Number.isFinite(value)) values.push(value);
+    });
+
+    if (values.length === 0) return null;
+
+    values.sort((a, b) => a - b);
+    if (this.config.fullRange) {
+      return { min: values[0], max: values[values.length - 1] };
+    }
+    return { min: percentile(values, 0.05), max: percentile(values, 0.95) };
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Comet trail rendering style shared by playback and export
+ * The newest routes get a dot at their head and a tail that fades out over
+ * a window of timeline time; everything older drops to a dimmed background.
+ * Pure math over point indices - no Leaflet, DOM or activity access.
+ */
+import { getDrawnIndex } from './routeStyle.js';
+
+// The tail fades in this many steps (one polyline / stroke each)
+export const TAIL_BANDS = 6;
+
+// Background routes keep this share of their normal opacity
+const BACKGROUND_OPACITY = 0.35;
+
+/**
+ * Where a route's tail lies after elapsedMs of its activity, as fractional
+ * point ranges. Each band covers tailMs / TAIL_BANDS of timeline time, newest
+ * (opacity 1) first; points traced before the tail belong to the background.
+ * @returns {{ head: number, backgroundEnd: number, bands: Array<{ from: number, to: number, opacity: number }> }|null}
+ *   null once the whole route is older than the tail
+ */
+export function getCometTrail(elapsedMs, durationMs, pointCount, times, tailMs) {
+  if (elapsedMs < 0 || elapsedMs - durationMs >= tailMs) return null;
+
+  const indexAt = (ms) => (ms < 0 ? 0 : getDrawnIndex(ms, durationMs, pointCount, times));
+
+  const head = indexAt(elapsedMs);
+  const bands = [];
+  let to = head;
+  for (let k = 1; k <= TAIL_BANDS; k++) {
+    const from = indexAt(elapsedMs - tailMs * k / TAIL_BANDS);
+    if (to > from) {
+      bands.push({ from, to, opacity: 1 - (k - 1) / TAIL_BANDS });
+    }
+    to = from;
+  }
+
+  return { head, backgroundEnd: to, bands };
+}
+
+/**
+ * Style for routes (or parts of routes) behind the tail - dimmed, without recency shading
+ */
+export function getBackgroundStyle(style) {
+  return { ...style, opacity: style.opacity * BACKGROUND_OPACITY, recencyScore: 0 };
+}
+
+/**
+ * Style for the tail - full strength and slightly heavier than the route; bands scale the opacity
+ */
+export function getTailStyle(style) {
+  return { ...style, opacity: 1, weight: style.weight + 1, recencyScore: 1 };
+}
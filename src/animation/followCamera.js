@@ -0,0 +1,161 @@
+/**
+ * Auto-follow camera shared by playback and export
+ * Fits the view to the activities that started within a sliding window of
+ * timeline time, and eases toward that fit with damping so the camera drifts
+ * instead of jumping with every new activity. The damped path is stepped at a
+ * fixed timeline interval - never per rendered frame - so playback at any frame
+ * rate and repeated exports all get the same view for the same time.
+ * Same getView(time) interface as CameraTrack. Pure math - no Leaflet or DOM access.
+ */
+
+// Damped steps per window length - a new fit is mostly reached within one window
+const STEPS_PER_WINDOW = 24;
+
+// Share of the remaining distance to the fit covered each step
+const DAMPING = 0.12;
+
+// A single short activity shouldn't fill the screen
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 15;
+
+// Share of the viewport kept clear on each side of the fitted routes
+const PADDING = 0.1;
+
+const TILE_SIZE = 256;
+
+// Web Mercator with the world as 0-1 on both axes
+const toWorldX = (lng) => (lng + 180) / 360;
+const toWorldY = (lat) => {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+};
+const fromWorldX = (x) => x * 360 - 180;
+const fromWorldY = (y) => 360 / Math.PI * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - 90;
+
+export class FollowCamera {
+  /**
+   * @param {Array<{ start: number, coords: Array<[number, number]> }>} routes - Timeline start (ms) and
+   *   [lat, lng] coords per activity, sorted by start
+   * @param {Object} options
+   * @param {number} options.windowMs - How long an activity keeps pulling the camera after it starts
+   * @param {{ width: number, height: number, offsetX?: number, offsetY?: number }} options.viewport -
+   *   Pixels the routes are fitted into, and the offset of their center from the map center
+   * @param {number} options.startTime - Timeline start (ms) - the first damped step
+   */
+  constructor(routes, { windowMs, viewport, startTime }) {
+    this.routes = [];
+    routes.forEach(({ start, coords }) => {
+      if (coords.length === 0) return;
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      coords.forEach(([lat, lng]) => {
+        const x = toWorldX(lng);
+        const y = toWorldY(lat);
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      });
+      this.routes.push({ start, minX, minY, maxX, maxY });
+    });
+
+    this.windowMs = windowMs;
+    this.viewport = { offsetX: 0, offsetY: 0, ...viewport };
+    this.startTime = startTime;
+    this.stepMs = windowMs / STEPS_PER_WINDOW;
+    this._states = []; // Damped { x, y, zoom } per step (null before the first activity), filled on demand
+  }
+
+  get isEmpty() {
+    return this.routes.length === 0;
+  }
+
+  /**
+   * Camera view at a timeline time (held on the first activity before it starts), or null without activities
+   * @param {number} time - ms
+   * @returns {{ lat: number, lng: number, zoom: number }|null}
+   */
+  getView(time) {
+    if (this.isEmpty) return null;
+
+    const position = Math.max(0, (time - this.startTime) / this.stepMs);
+    const step = Math.floor(position);
+    const from = this._getState(step);
+    const to = this._getState(step + 1) || from;
+    if (!from) return this._toView(to || this._getFit(this.routes[0].start));
+
+    const t = position - step;
+    return this._toView({
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      zoom: from.zoom + (to.zoom - from.zoom) * t
+    });
+  }
+
+  _getState(step) {
+    for (let k = this._states.length; k <= step; k++) {
+      const previous = k > 0 ? this._states[k - 1] : null;
+      const target = this._getFit(this.startTime + k * this.stepMs);
+
+      if (!target || !previous) {
+        // Hold still through gaps; start right on the first fit
+        this._states.push(target || previous);
+      } else {
+        this._states.push({
+          x: previous.x + (target.x - previous.x) * DAMPING,
+          y: previous.y + (target.y - previous.y) * DAMPING,
+          zoom: previous.zoom + (target.zoom - previous.zoom) * DAMPING
+        });
+      }
+    }
+    return this._states[step];
+  }
+
+  /**
+   * Center (world coords) and zoom fitting the activities that started in the window before time
+   */
+  _getFit(time) {
+    const { routes } = this;
+
+    // First route that started inside the window
+    let lo = 0;
+    let hi = routes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (routes[mid].start <= time - this.windowMs) lo = mid + 1;
+      else hi = mid;
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = lo; i < routes.length && routes[i].start <= time; i++) {
+      const route = routes[i];
+      minX = Math.min(minX, route.minX);
+      minY = Math.min(minY, route.minY);
+      maxX = Math.max(maxX, route.maxX);
+      maxY = Math.max(maxY, route.maxY);
+    }
+    if (minX === Infinity) return null;
+
+    const { width, height } = this.viewport;
+    const scale = Math.min(
+      width * (1 - 2 * PADDING) / ((maxX - minX) * TILE_SIZE),
+      height * (1 - 2 * PADDING) / ((maxY - minY) * TILE_SIZE)
+    );
+    return {
+      x: (minX + maxX) / 2,
+      y: (minY + maxY) / 2,
+      zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.log2(scale)))
+    };
+  }
+
+  /**
+   * Map view whose viewport (offset from the map center) is centered on the state
+   */
+  _toView({ x, y, zoom }) {
+    const worldSize = TILE_SIZE * Math.pow(2, zoom);
+    return {
+      lat: fromWorldY(y - this.viewport.offsetY / worldSize),
+      lng: fromWorldX(x - this.viewport.offsetX / worldSize),
+      zoom
+    };
+  }
+}
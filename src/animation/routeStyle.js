@@ -0,0 +1,136 @@
+/**
+ * Route styling shared by on-screen playback and export rendering
+ * Pure functions with no DOM or Leaflet access, so they also run in the export worker.
+ */
+
+/**
+ * Recency score from an activity's age (0 = faded, 1 = recent)
+ * @param {number} ageMs - Current time minus activity start
+ */
+export function getRecencyScore(ageMs, fadeWindowMs) {
+  if (ageMs <= 0) return 1;
+  if (ageMs >= fadeWindowMs) return 0;
+  return 1 - (ageMs / fadeWindowMs);
+}
+
+/**
+ * Final opacity and weight based on recency and overlap
+ * @param {Object} ranges - { recencyOpacityRange, overlapOpacityRange } as { min, max }
+ */
+export function calculateRouteStyle(recencyScore, overlapScore, { recencyOpacityRange, overlapOpacityRange }) {
+  // Recency: 25% to 100%
+  const recencyOpacity = recencyOpacityRange.min +
+    recencyScore * (recencyOpacityRange.max - recencyOpacityRange.min);
+
+  // Overlap: 25% to 75%
+  const overlapOpacity = overlapOpacityRange.min +
+    overlapScore * (overlapOpacityRange.max - overlapOpacityRange.min);
+
+  // Combine: recency is primary, overlap adds bonus
+  const opacity = Math.min(1, recencyOpacity * 0.7 + overlapOpacity * 0.3);
+
+  // Weight: thicker for recent activities (2.5 -> 1)
+  const weight = 1 + recencyScore * 1.5;
+
+  return { opacity, weight, recencyScore };
+}
+
+/**
+ * Darken a color by a percentage
+ */
+export function darkenColor(hex, percent) {
+  const num = parseInt(hex.replace('#', ''), 16);
+  const r = Math.max(0, (num >> 16) * (1 - percent));
+  const g = Math.max(0, ((num >> 8) & 0x00FF) * (1 - percent));
+  const b = Math.max(0, (num & 0x0000FF) * (1 - percent));
+  return `#${((1 << 24) + (Math.round(r) << 16) + (Math.round(g) << 8) + Math.round(b)).toString(16).slice(1)}`;
+}
+
+/**
+ * Lighten a color by a percentage (mixes toward white)
+ */
+export function lightenColor(hex, percent) {
+  const num = parseInt(hex.replace('#', ''), 16);
+  const mix = (c) => Math.round(c + (255 - c) * percent);
+  const r = mix(num >> 16);
+  const g = mix((num >> 8) & 0x00FF);
+  const b = mix(num & 0x0000FF);
+  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+}
+
+/**
+ * Relative luminance of a color (0 = black, 1 = white)
+ */
+export function getLuminance(hex) {
+  const num = parseInt(hex.replace('#', ''), 16);
+  const channel = (c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(num >> 16) + 0.7152 * channel((num >> 8) & 0xFF) + 0.0722 * channel(num & 0xFF);
+}
+
+/**
+ * Base route color for the base map - on dark maps, dark colors (navy, forest,
+ * black) are lifted so they don't disappear
+ */
+export function adaptColorToBasemap(hex, darkBasemap) {
+  if (!darkBasemap) return hex;
+  const luminance = getLuminance(hex);
+  return luminance < 0.2 ? lightenColor(hex, 0.6 - luminance * 2) : hex;
+}
+
+/**
+ * Color for a route at a recency - recent routes are drawn up to 30% darker on
+ * light maps and 30% lighter on dark maps, so they stand out either way
+ */
+export function getRouteColor(hex, recencyScore, darkBasemap = false) {
+  const base = adaptColorToBasemap(hex, darkBasemap);
+  return darkBasemap
+    ? lightenColor(base, recencyScore * 0.3)
+    : darkenColor(base, recencyScore * 0.3);
+}
+
+/**
+ * Recorded duration of an activity in ms - from stream timestamps when given, else elapsed_time
+ * @param {ArrayLike<number>} times - Stream time offsets in seconds, one per route point
+ */
+export function getActivityDuration(activity, times = null) {
+  if (times && times.length >= 2) {
+    return (times[times.length - 1] - times[0]) * 1000;
+  }
+  return (activity.elapsed_time || 0) * 1000;
+}
+
+/**
+ * How far along its route an activity is after elapsedMs, as a fractional point
+ * index (0 = just started, pointCount - 1 = complete). Follows the stream
+ * timestamps when given, so stops and climbs draw slowly; otherwise the points
+ * are assumed to be evenly spaced in time.
+ */
+export function getDrawnIndex(elapsedMs, durationMs, pointCount, times = null) {
+  const last = pointCount - 1;
+  if (last <= 0 || durationMs <= 0 || elapsedMs >= durationMs) return last;
+  if (elapsedMs <= 0) return 0;
+
+  if (times && times.length === pointCount) {
+    // Last point recorded by the target time
+    const target = times[0] + elapsedMs / 1000;
+    let lo = 0;
+    let hi = last;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (times[mid] <= target) lo = mid;
+      else hi = mid - 1;
+    }
+    if (lo >= last) return last;
+
+    const span = times[lo + 1] - times[lo];
+    return lo + (span > 0 ? (target - times[lo]) / span : 0);
+  }
+
+  return (elapsedMs / durationMs) * last;
+}
+
+// Radius (px) of the dot marking where a route being traced has got to
+export const HEAD_MARKER_RADIUS = 4;
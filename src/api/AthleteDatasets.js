@@ -0,0 +1,157 @@
+/**
+ * Extra athletes shown on the map alongside the active profile
+ * Datasets come from other profiles' caches or from imported activity files.
+ * Every activity is tagged with `athlete_id` so renderers can color by athlete.
+ */
+import { StravaAuth } from '../auth/StravaAuth.js';
+import { StravaAPI } from './StravaAPI.js';
+import { profileStorageKey } from '../auth/ProfileManager.js';
+
+// Distinct, map-friendly colors assigned to athletes in order
+export const ATHLETE_COLORS = [
+  '#fc4c02', '#0066cc', '#2e7d32', '#9b59b6', '#e91e63',
+  '#00a8cc', '#f1c40f', '#6d4c41', '#1a1a1a', '#ff6b35'
+];
+
+const COMBINED_PROFILES_KEY = 'strava_combined_profiles';
+
+/**
+ * Display name for a profile: the Strava athlete's name if known, else the profile name
+ */
+function profileDisplayName(profile) {
+  const athlete = new StravaAuth(profile.id).getAthlete();
+  return athlete ? `${athlete.firstname} ${athlete.lastname}`.trim() : profile.name;
+}
+
+export class AthleteDatasets {
+  /**
+   * @param {ProfileManager} profiles
+   */
+  constructor(profiles) {
+    this.profiles = profiles;
+    this.ownId = profiles.getActiveId();
+    this.storageKey = profileStorageKey(COMBINED_PROFILES_KEY, this.ownId);
+
+    // The active profile is always first
+    this.own = {
+      id: this.ownId,
+      name: profileDisplayName(profiles.getActive()),
+      color: ATHLETE_COLORS[0],
+      kind: 'own'
+    };
+
+    // { id, name, color, kind: 'profile'|'file', activities }
+    this.extras = [];
+  }
+
+  /**
+   * All athletes including the active profile
+   */
+  getAll() {
+    return [this.own, ...this.extras];
+  }
+
+  hasExtras() {
+    return this.extras.length > 0;
+  }
+
+  /**
+   * Map of athlete id -> color
+   */
+  getColors() {
+    return Object.fromEntries(this.getAll().map(a => [a.id, a.color]));
+  }
+
+  setColor(id, color) {
+    const athlete = this.getAll().find(a => a.id === id);
+    if (athlete) athlete.color = color;
+  }
+
+  /**
+   * Profiles that could be added to the combined map
+   */
+  getAvailableProfiles() {
+    return this.profiles.list()
+      .filter(p => p.id !== this.ownId)
+      .map(p => ({ id: p.id, name: profileDisplayName(p), added: this.extras.some(a => a.id === p.id) }));
+  }
+
+  /**
+   * Add another profile's cached activities
+   * @returns {number} Number of activities loaded
+   */
+  async addProfile(profileId) {
+    const profile = this.profiles.list().find(p => p.id === profileId);
+    if (!profile || this.extras.some(a => a.id === profileId)) return 0;
+
+    const api = new StravaAPI(new StravaAuth(profileId));
+    const activities = await api.getCachedActivities() || [];
+
+    this._add({ id: profileId, name: profileDisplayName(profile), kind: 'profile', activities });
+    this._saveProfileSelection();
+    return activities.length;
+  }
+
+  /**
+   * Add activities imported from a file (not persisted across reloads)
+   */
+  addFile(name, activities) {
+    const id = `file-${Date.now().toString(36)}`;
+    this._add({ id, name, kind: 'file', activities });
+    return id;
+  }
+
+  remove(id) {
+    this.extras = this.extras.filter(a => a.id !== id);
+    this._saveProfileSelection();
+  }
+
+  /**
+   * Re-add the profiles that were combined last time
+   */
+  async restoreProfileSelection() {
+    let ids = [];
+    try {
+      ids = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (e) {
+      console.error('Failed to read combined profiles:', e);
+    }
+
+    for (const id of ids) {
+      await this.addProfile(id);
+    }
+  }
+
+  /**
+   * All activities from extra athletes, tagged with their athlete id
+   */
+  getExtraActivities() {
+    return this.extras.flatMap(a => a.activities);
+  }
+
+  /**
+   * Tag the active profile's activities (fresh objects from IndexedDB each query)
+   */
+  tagOwn(activities) {
+    activities.forEach(activity => {
+      activity.athlete_id = this.ownId;
+    });
+    return activities;
+  }
+
+  _add({ id, name, kind, activities }) {
+    const usedColors = new Set(this.getAll().map(a => a.color));
+    const color = ATHLETE_COLORS.find(c => !usedColors.has(c)) || ATHLETE_COLORS[this.extras.length % ATHLETE_COLORS.length];
+
+    activities.forEach(activity => {
+      activity.athlete_id = id;
+    });
+
+    this.extras.push({ id, name, color, kind, activities });
+  }
+
+  _saveProfileSelection() {
+    const ids = this.extras.filter(a => a.kind === 'profile').map(a => a.id);
+    localStorage.setItem(this.storageKey, JSON.stringify(ids));
+  }
+}
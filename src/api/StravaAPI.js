@@ -3,47 +3,203 @@
  * Fetches activities directly from browser
  * Cache stored in IndexedDB (no size limit, unlike localStorage ~5MB)
  */
-
+import { importActivityFile } from '../import/fileImporter.js';
+import { toStravaDate } from '../import/activityBuilder.js';
+import { profileStorageKey } from '../auth/ProfileManager.js';
+
+// Schema history:
+//   v1 - `cache` store, whole activity array as one value under CACHE_KEY
+//   v2 - adds `streams`
+//   v3 - activities move to their own store keyed by id, indexed by start_date and type
 const DB_NAME = 'strava_activity_map';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
+// Key/value store for small records (fetch checkpoint; the v1 activity blob before migration)
 const STORE_NAME = 'cache';
 const CACHE_KEY = 'activities';
+const ACTIVITIES_STORE = 'activities';
+// Full-resolution streams keyed by activity id, kept apart from the summary cache
+const STREAMS_STORE = 'streams';
+const STREAM_KEYS = ['latlng', 'time', 'distance', 'heartrate', 'altitude'];
+// Strava's short-term rate limit resets every 15 minutes on the quarter hour
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+// Transient (5xx/network) failures are retried with exponential backoff: 2s, 4s, 8s
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+// Interrupted activity list fetches are checkpointed here and resumed on the next attempt
+const CHECKPOINT_KEY = 'fetch_checkpoint';
+const CHECKPOINT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Fields compared during reconciliation - counters like kudos_count change constantly
+// and would flag every activity as edited
+const RECONCILE_FIELDS = [
+  'name', 'type', 'sport_type', 'start_date', 'distance', 'moving_time',
+  'elapsed_time', 'total_elevation_gain', 'private', 'visibility'
+];
 // Lightweight metadata in localStorage for fast existence checks without opening IndexedDB
 const META_KEY = 'strava_cache_meta';
 
-function openDB() {
+function openDB(name) {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    const req = indexedDB.open(name, DB_VERSION);
     req.onupgradeneeded = (e) => {
-      e.target.result.createObjectStore(STORE_NAME);
+      const db = e.target.result;
+      const tx = e.target.transaction;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+      // v2: detailed activity streams
+      if (!db.objectStoreNames.contains(STREAMS_STORE)) {
+        db.createObjectStore(STREAMS_STORE);
+      }
+      // v3: one record per activity
+      if (!db.objectStoreNames.contains(ACTIVITIES_STORE)) {
+        const store = db.createObjectStore(ACTIVITIES_STORE, { keyPath: 'id' });
+        store.createIndex('start_date', 'start_date');
+        store.createIndex('type', 'type');
+      }
+      if (e.oldVersion >= 1 && e.oldVersion < 3) {
+        migrateActivityBlob(tx);
+      }
     };
     req.onsuccess = (e) => resolve(e.target.result);
     req.onerror = (e) => reject(e.target.error);
   });
 }
 
-function idbGet(db, key) {
+/**
+ * Copy of an activity as stored: start_date in Strava's exact second-precision
+ * UTC format, so the start_date index sorts chronologically whatever the source
+ * wrote (milliseconds, offsets)
+ */
+function toStoredActivity(activity) {
+  const date = new Date(activity.start_date);
+  if (isNaN(date.getTime())) return activity;
+  const startDate = toStravaDate(date);
+  return startDate === activity.start_date ? activity : { ...activity, start_date: startDate };
+}
+
+/**
+ * Move the v1 single-blob activity array into the per-activity store.
+ * Runs inside the upgrade transaction, so a failure rolls the whole upgrade back.
+ */
+function migrateActivityBlob(tx) {
+  const cache = tx.objectStore(STORE_NAME);
+  const req = cache.get(CACHE_KEY);
+  req.onsuccess = () => {
+    const activities = req.result?.activities || [];
+    const store = tx.objectStore(ACTIVITIES_STORE);
+    activities.forEach(activity => store.put(toStoredActivity(activity)));
+    cache.delete(CACHE_KEY);
+  };
+}
+
+function idbGet(db, key, storeName = STORE_NAME) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const req = tx.objectStore(STORE_NAME).get(key);
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).get(key);
     req.onsuccess = () => resolve(req.result);
     req.onerror = (e) => reject(e.target.error);
   });
 }
 
-function idbPut(db, key, value) {
+function idbPut(db, key, value, storeName = STORE_NAME) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const req = tx.objectStore(STORE_NAME).put(value, key);
+    const tx = db.transaction(storeName, 'readwrite');
+    const req = tx.objectStore(storeName).put(value, key);
     req.onsuccess = () => resolve();
     req.onerror = (e) => reject(e.target.error);
   });
 }
 
-function idbDelete(db, key) {
+function idbDelete(db, key, storeName = STORE_NAME) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const req = tx.objectStore(STORE_NAME).delete(key);
+    const tx = db.transaction(storeName, 'readwrite');
+    const req = tx.objectStore(storeName).delete(key);
+    req.onsuccess = () => resolve();
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function idbCount(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).count();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+/**
+ * Get all values from a store, or from one of its indexes within a key range
+ */
+function idbGetAll(db, storeName, indexName = null, range = null) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const req = (indexName ? store.index(indexName) : store).getAll(range);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+/**
+ * Get the first value of an index in the given direction ('next' = lowest key, 'prev' = highest)
+ */
+function idbFirstByIndex(db, storeName, indexName, direction) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).index(indexName).openCursor(null, direction);
+    req.onsuccess = () => resolve(req.result ? req.result.value : null);
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+/**
+ * Put and delete records in a single transaction (store must use in-line keys)
+ */
+function idbWriteMany(db, storeName, { put = [], remove = [], clear = false }) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    if (clear) store.clear();
+    put.forEach(value => store.put(value));
+    remove.forEach(key => store.delete(key));
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+    tx.onabort = (e) => reject(e.target.error);
+  });
+}
+
+function idbGetAllKeys(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).getAllKeys();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function idbGetAllEntries(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      entries.set(cursor.key, cursor.value);
+      cursor.continue();
+    };
+    req.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function idbClear(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const req = tx.objectStore(storeName).clear();
     req.onsuccess = () => resolve();
     req.onerror = (e) => reject(e.target.error);
   });
@@ -54,77 +210,82 @@ export class StravaAPI {
     this.auth = auth;
     this.baseUrl = 'https://www.strava.com/api/v3';
     this._db = null;
+    // Each profile has its own database and cache metadata
+    this.dbName = profileStorageKey(DB_NAME, auth.profileId);
+    this.metaKey = profileStorageKey(META_KEY, auth.profileId);
+    // Last rate limit headers seen: { shortLimit, shortUsage, dailyLimit, dailyUsage, updatedAt }
+    this.rateLimit = null;
+    // A write to the activity store failed (quota, aborted transaction) - the
+    // cache is missing activities the caller holds, so queries refuse to answer
+    this.cacheWriteFailed = false;
   }
 
   async _getDB() {
     if (!this._db) {
-      this._db = await openDB();
+      this._db = await openDB(this.dbName);
     }
     return this._db;
   }
 
   /**
    * Fetch all activities from Strava API
+   * Resumes from a checkpoint if a previous full fetch was interrupted
+   * @param {Function} onProgress - Called with number of activities fetched so far
+   * @param {Object} options
+   * @param {Function} options.onWait - Called with seconds to wait when rate limited
    */
-  async fetchAllActivities(onProgress = null) {
-    return this._fetchActivities({ onProgress });
+  async fetchAllActivities(onProgress = null, { onWait = null } = {}) {
+    return this._fetchActivities({ onProgress, onWait });
   }
 
   /**
    * Fetch activities after a given date (epoch seconds)
    */
-  async fetchActivitiesAfter(afterEpochSeconds, onProgress = null) {
-    return this._fetchActivities({ afterEpochSeconds, onProgress });
+  async fetchActivitiesAfter(afterEpochSeconds, onProgress = null, { onWait = null } = {}) {
+    return this._fetchActivities({ afterEpochSeconds, onProgress, onWait });
   }
 
   /**
    * Internal paginated fetch
+   * Each page is checkpointed to IndexedDB, so a 429, network failure or reload
+   * only costs the page in flight - the next fetch with the same `after` picks up from there.
    */
-  async _fetchActivities({ afterEpochSeconds = null, onProgress = null } = {}) {
-    const activities = [];
-    let page = 1;
+  async _fetchActivities({ afterEpochSeconds = null, onProgress = null, onWait = null } = {}) {
     const perPage = 200; // Max allowed by Strava
 
-    while (true) {
-      const token = await this.auth.getAccessToken();
+    const checkpoint = await this.getFetchCheckpoint(afterEpochSeconds);
+    const activities = checkpoint ? checkpoint.activities : [];
+    const seenIds = new Set(activities.map(a => a.id));
+    let page = checkpoint ? checkpoint.page + 1 : 1;
+
+    if (onProgress && activities.length > 0) {
+      onProgress(activities.length);
+    }
 
-      let url = `${this.baseUrl}/athlete/activities?per_page=${perPage}&page=${page}`;
+    while (true) {
+      let path = `/athlete/activities?per_page=${perPage}&page=${page}`;
       if (afterEpochSeconds) {
-        url += `&after=${afterEpochSeconds}`;
+        path += `&after=${afterEpochSeconds}`;
       }
 
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!response.ok) {
-        let errorMessage = response.statusText;
-        try {
-          const error = await response.json();
-          errorMessage = error.message || error.errors?.[0]?.message || errorMessage;
-
-          // Add helpful context for common errors
-          if (response.status === 401) {
-            errorMessage = `Authorization failed. Please try re-authorizing with Strava. (${errorMessage})`;
-          } else if (response.status === 403) {
-            errorMessage = `Access forbidden. You may need to grant additional permissions. (${errorMessage})`;
-          }
-        } catch (e) {
-          // Response wasn't JSON, use status text
-        }
-
-        throw new Error(`Failed to fetch activities: ${errorMessage}`);
+      let batch;
+      try {
+        batch = await this._apiGet(path, { onWait });
+      } catch (error) {
+        throw new Error(`Failed to fetch activities: ${error.message}`);
       }
 
-      const batch = await response.json();
-
       if (batch.length === 0) {
         break; // No more activities
       }
 
-      activities.push(...batch);
+      // New uploads during a resumed fetch shift pages, so skip repeats at page boundaries
+      batch.forEach(activity => {
+        if (!seenIds.has(activity.id)) {
+          seenIds.add(activity.id);
+          activities.push(activity);
+        }
+      });
 
       if (onProgress) {
         onProgress(activities.length);
@@ -134,28 +295,89 @@ export class StravaAPI {
         break; // Last page
       }
 
+      await this._saveFetchCheckpoint({ afterEpochSeconds, page, activities });
       page++;
-
-      // Small delay to avoid rate limiting
-      await this._delay(100);
     }
 
+    await this.clearFetchCheckpoint();
     return activities;
   }
 
   /**
-   * Cache activities in IndexedDB
+   * Get the checkpoint of an interrupted fetch, if it matches `afterEpochSeconds` and isn't stale
+   * @returns {{ afterEpochSeconds, page: number, activities: Array, savedAt: number } | null}
    */
-  async cacheActivities(activities) {
+  async getFetchCheckpoint(afterEpochSeconds = null) {
     try {
-      const cachedAt = Date.now();
       const db = await this._getDB();
-      await idbPut(db, CACHE_KEY, { activities, cachedAt, count: activities.length });
+      const checkpoint = await idbGet(db, CHECKPOINT_KEY);
+      if (!checkpoint) return null;
+      if (checkpoint.afterEpochSeconds !== afterEpochSeconds) return null;
+      if (Date.now() - checkpoint.savedAt > CHECKPOINT_MAX_AGE_MS) return null;
+      return checkpoint;
+    } catch (e) {
+      console.error('Failed to read fetch checkpoint:', e);
+      return null;
+    }
+  }
 
-      // Write lightweight metadata to localStorage for fast existence checks
-      localStorage.setItem(META_KEY, JSON.stringify({ count: activities.length, cachedAt }));
+  async _saveFetchCheckpoint({ afterEpochSeconds, page, activities }) {
+    try {
+      const db = await this._getDB();
+      await idbPut(db, CHECKPOINT_KEY, { afterEpochSeconds, page, activities, savedAt: Date.now() });
+    } catch (e) {
+      // Not fatal - the fetch just won't be resumable
+      console.error('Failed to save fetch checkpoint:', e);
+    }
+  }
+
+  /**
+   * Discard any interrupted fetch
+   */
+  async clearFetchCheckpoint() {
+    try {
+      const db = await this._getDB();
+      await idbDelete(db, CHECKPOINT_KEY);
+    } catch (e) {
+      console.error('Failed to clear fetch checkpoint:', e);
+    }
+  }
+
+  /**
+   * Cache activities in IndexedDB, replacing whatever was cached before
+   */
+  async cacheActivities(activities) {
+    try {
+      const db = await this._getDB();
+      await idbWriteMany(db, ACTIVITIES_STORE, { clear: true, put: activities.map(toStoredActivity) });
+      this._writeCacheMeta(activities.length);
+      this.cacheWriteFailed = false;
     } catch (e) {
       console.error('Failed to cache activities:', e);
+      this.cacheWriteFailed = true;
+    }
+  }
+
+  /**
+   * Add, replace and remove individual cached activities without rewriting the rest
+   */
+  async updateCachedActivities({ put = [], remove = [] }) {
+    try {
+      const db = await this._getDB();
+      await idbWriteMany(db, ACTIVITIES_STORE, { put: put.map(toStoredActivity), remove });
+      this._writeCacheMeta(await idbCount(db, ACTIVITIES_STORE));
+    } catch (e) {
+      console.error('Failed to update cached activities:', e);
+      this.cacheWriteFailed = true;
+    }
+  }
+
+  // Lightweight metadata in localStorage for fast existence checks
+  _writeCacheMeta(count) {
+    if (count > 0) {
+      localStorage.setItem(this.metaKey, JSON.stringify({ count, cachedAt: Date.now() }));
+    } else {
+      localStorage.removeItem(this.metaKey);
     }
   }
 
@@ -165,50 +387,82 @@ export class StravaAPI {
   async getCachedActivities() {
     try {
       const db = await this._getDB();
-      const data = await idbGet(db, CACHE_KEY);
-      return data ? data.activities : null;
+      const activities = await idbGetAll(db, ACTIVITIES_STORE);
+      return activities.length > 0 ? activities : null;
     } catch (e) {
       console.error('Failed to read cached activities:', e);
       return null;
     }
   }
 
+  /**
+   * Query cached activities using the start_date/type indexes
+   * @param {Object} query
+   * @param {Date} [query.startDate] - Inclusive lower bound on start_date
+   * @param {Date} [query.endDate] - Inclusive upper bound on start_date
+   * @param {Array<string>} [query.types] - Activity types to include (all when omitted)
+   * @returns {Array} Matching activities, oldest first when a date range is given
+   * @throws {Error} When the cache is out of date after a failed write - filter the loaded activities instead
+   */
+  async queryActivities({ startDate = null, endDate = null, types = null } = {}) {
+    if (this.cacheWriteFailed) {
+      throw new Error('Activity cache is out of date (a write failed)');
+    }
+
+    const db = await this._getDB();
+
+    if (!startDate && !endDate && types) {
+      const perType = await Promise.all(
+        types.map(type => idbGetAll(db, ACTIVITIES_STORE, 'type', IDBKeyRange.only(type)))
+      );
+      return perType.flat();
+    }
+
+    // start_date is second-precision ISO, so compare against bounds in the same format
+    const lower = startDate ? toStravaDate(startDate) : null;
+    const upper = endDate ? toStravaDate(endDate) : null;
+    let range = null;
+    if (lower && upper) range = IDBKeyRange.bound(lower, upper);
+    else if (lower) range = IDBKeyRange.lowerBound(lower);
+    else if (upper) range = IDBKeyRange.upperBound(upper);
+
+    const activities = await idbGetAll(db, ACTIVITIES_STORE, 'start_date', range);
+    if (!types) return activities;
+
+    const typeSet = new Set(types);
+    return activities.filter(a => typeSet.has(a.type));
+  }
+
   /**
    * Check if cache exists (fast, uses localStorage metadata)
    */
   hasCachedActivities() {
-    return !!localStorage.getItem(META_KEY);
+    return !!localStorage.getItem(this.metaKey);
   }
 
   /**
-   * Get cache info (count + date range) — reads metadata fast, then full data for dates
+   * Get cache info (count + date range) — reads metadata fast, then the start_date index ends
    */
   async getCacheInfo() {
     try {
-      const meta = localStorage.getItem(META_KEY);
+      const meta = localStorage.getItem(this.metaKey);
       if (!meta) return null;
 
-      const { count, cachedAt } = JSON.parse(meta);
+      const { cachedAt } = JSON.parse(meta);
 
       const db = await this._getDB();
-      const data = await idbGet(db, CACHE_KEY);
-      if (!data) return null;
-
-      const activities = data.activities || [];
-      let minDate = null;
-      let maxDate = null;
-      activities.forEach(a => {
-        const d = new Date(a.start_date);
-        if (!minDate || d < minDate) minDate = d;
-        if (!maxDate || d > maxDate) maxDate = d;
-      });
+      const count = await idbCount(db, ACTIVITIES_STORE);
+      if (count === 0) return null;
+
+      const first = await idbFirstByIndex(db, ACTIVITIES_STORE, 'start_date', 'next');
+      const last = await idbFirstByIndex(db, ACTIVITIES_STORE, 'start_date', 'prev');
 
       return {
         count,
         cachedAt: new Date(cachedAt),
         ageMinutes: Math.round((Date.now() - cachedAt) / 1000 / 60),
-        minDate,
-        maxDate
+        minDate: new Date(first.start_date),
+        maxDate: new Date(last.start_date)
       };
     } catch (e) {
       return null;
@@ -221,9 +475,79 @@ export class StravaAPI {
   async mergeAndCacheActivities(newActivities) {
     const existing = await this.getCachedActivities() || [];
     const existingIds = new Set(existing.map(a => a.id));
-    const merged = [...existing, ...newActivities.filter(a => !existingIds.has(a.id))];
-    await this.cacheActivities(merged);
-    return merged;
+    const added = newActivities.filter(a => !existingIds.has(a.id));
+    await this.updateCachedActivities({ put: added });
+    return [...existing, ...added];
+  }
+
+  /**
+   * Re-fetch a recent window and reconcile it with the cache: replace edited activities,
+   * add missing ones and drop ones deleted on Strava.
+   * Only API-fetched activities are ever removed - imported files (and private archive
+   * activities the token may not be allowed to see) are left alone.
+   * @param {number} days - Size of the window to re-check, counting back from today
+   * @param {Function} onProgress - Called with number of activities fetched so far
+   * @param {Object} options
+   * @param {Function} options.onWait - Called with seconds to wait when rate limited
+   * @returns {{ activities: Array, diff: { added: Array, updated: Array, removed: Array } }}
+   */
+  async reconcileRecentActivities(days, onProgress = null, { onWait = null } = {}) {
+    // Window starts at local midnight so an interrupted sync can resume from its checkpoint
+    const windowStart = new Date();
+    windowStart.setDate(windowStart.getDate() - days);
+    windowStart.setHours(0, 0, 0, 0);
+    const afterEpoch = Math.floor(windowStart.getTime() / 1000);
+
+    const fresh = await this.fetchActivitiesAfter(afterEpoch, onProgress, { onWait });
+    const freshById = new Map(fresh.map(a => [a.id, a]));
+
+    const existing = await this.getCachedActivities() || [];
+    const existingIds = new Set(existing.map(a => a.id));
+    const diff = { added: [], updated: [], removed: [] };
+    const staleStreamIds = [];
+
+    const kept = [];
+    existing.forEach(activity => {
+      const replacement = freshById.get(activity.id);
+      if (replacement) {
+        // Archive imports carry track-derived values, so their first replacement isn't an "edit"
+        if (!activity.source && this._hasChanged(activity, replacement)) {
+          diff.updated.push(replacement);
+        }
+        // Cropped on Strava - the downloaded stream no longer matches
+        if (activity.map?.summary_polyline !== replacement.map?.summary_polyline) {
+          staleStreamIds.push(activity.id);
+        }
+        kept.push(replacement);
+      } else if (!activity.source && new Date(activity.start_date) >= windowStart) {
+        diff.removed.push(activity);
+        staleStreamIds.push(activity.id);
+      } else {
+        kept.push(activity);
+      }
+    });
+
+    fresh.forEach(activity => {
+      if (!existingIds.has(activity.id)) {
+        diff.added.push(activity);
+        kept.push(activity);
+      }
+    });
+
+    await this.updateCachedActivities({
+      put: fresh,
+      remove: diff.removed.map(a => a.id)
+    });
+    if (staleStreamIds.length > 0) {
+      await this.deleteStreams(staleStreamIds);
+    }
+
+    return { activities: kept, diff };
+  }
+
+  _hasChanged(cached, fresh) {
+    return RECONCILE_FIELDS.some(field => cached[field] !== fresh[field]) ||
+      cached.map?.summary_polyline !== fresh.map?.summary_polyline;
   }
 
   /**
@@ -232,13 +556,253 @@ export class StravaAPI {
   async clearCache() {
     try {
       const db = await this._getDB();
-      await idbDelete(db, CACHE_KEY);
-      localStorage.removeItem(META_KEY);
+      await idbWriteMany(db, ACTIVITIES_STORE, { clear: true });
+      localStorage.removeItem(this.metaKey);
     } catch (e) {
       console.error('Failed to clear cache:', e);
     }
   }
 
+  /**
+   * Delete this profile's database entirely (used when removing a profile)
+   */
+  async deleteDatabase() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+    }
+    localStorage.removeItem(this.metaKey);
+
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase(this.dbName);
+      req.onsuccess = () => resolve();
+      // Another tab still has it open - deletion completes once that tab closes it
+      req.onblocked = () => resolve();
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Fetch full-resolution streams for activities that don't have them cached yet.
+   * Resumable: already-downloaded streams are skipped, so stopping (via `signal`)
+   * or hitting the daily limit loses nothing.
+   * @param {Array} activities - Activities to fetch streams for (e.g. the current filter)
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with (done, total)
+   * @param {Function} options.onWait - Called with seconds to wait when rate limited
+   * @param {AbortSignal} options.signal - Stops after the current request
+   * @returns {{ fetched: number, errors: Array<{ id, error: string }> }}
+   */
+  async fetchStreamsForActivities(activities, { onProgress = null, onWait = null, signal = null } = {}) {
+    const db = await this._getDB();
+    const cachedIds = new Set(await idbGetAllKeys(db, STREAMS_STORE));
+
+    // Only activities that exist on Strava (imported files have string ids) and have a route
+    const pending = activities.filter(a =>
+      typeof a.id === 'number' && a.map?.summary_polyline && !cachedIds.has(a.id)
+    );
+
+    let fetched = 0;
+    const errors = [];
+
+    for (const activity of pending) {
+      if (signal?.aborted) break;
+
+      try {
+        const streams = await this._apiGet(
+          `/activities/${activity.id}/streams?keys=${STREAM_KEYS.join(',')}&key_by_type=true`,
+          { onWait, signal }
+        );
+
+        await idbPut(db, activity.id, {
+          latlng: streams.latlng?.data || [],
+          time: streams.time?.data || [],
+          distance: streams.distance?.data || [],
+          heartrate: streams.heartrate?.data || [],
+          altitude: streams.altitude?.data || [],
+          fetchedAt: Date.now()
+        }, STREAMS_STORE);
+        fetched++;
+      } catch (error) {
+        if (error.name === 'AbortError') break;
+        errors.push({ id: activity.id, error: error.message });
+        // No point continuing once the daily quota is gone
+        if (error.dailyLimitReached) break;
+      }
+
+      if (onProgress) {
+        onProgress(fetched + errors.length, pending.length);
+      }
+    }
+
+    return { fetched, errors };
+  }
+
+  /**
+   * Get all cached streams as a Map of activity id -> { latlng, time, distance, heartrate, altitude }
+   * (heartrate and altitude are missing from streams cached by older versions)
+   */
+  async getCachedStreams() {
+    try {
+      const db = await this._getDB();
+      return await idbGetAllEntries(db, STREAMS_STORE);
+    } catch (e) {
+      console.error('Failed to read cached streams:', e);
+      return new Map();
+    }
+  }
+
+  /**
+   * Delete cached streams for specific activities
+   */
+  async deleteStreams(ids) {
+    try {
+      const db = await this._getDB();
+      for (const id of ids) {
+        await idbDelete(db, id, STREAMS_STORE);
+      }
+    } catch (e) {
+      console.error('Failed to delete streams:', e);
+    }
+  }
+
+  /**
+   * Clear cached streams
+   */
+  async clearStreams() {
+    try {
+      const db = await this._getDB();
+      await idbClear(db, STREAMS_STORE);
+    } catch (e) {
+      console.error('Failed to clear streams:', e);
+    }
+  }
+
+  /**
+   * Authenticated GET that tracks Strava's rate limit headers.
+   * Waits for the next 15-minute window instead of failing when the short-term limit is hit,
+   * and retries transient 5xx/network errors with exponential backoff.
+   */
+  async _apiGet(path, { onWait = null, signal = null } = {}) {
+    let attempt = 0;
+
+    while (true) {
+      this._checkDailyLimit();
+
+      // Usage from an earlier 15-minute window has already reset
+      const sameWindow = this.rateLimit &&
+        Math.floor(this.rateLimit.updatedAt / RATE_LIMIT_WINDOW_MS) === Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS);
+      if (sameWindow && this.rateLimit.shortUsage >= this.rateLimit.shortLimit) {
+        await this._waitForNextWindow(onWait, signal);
+      }
+
+      const token = await this.auth.getAccessToken();
+
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          },
+          signal
+        });
+      } catch (error) {
+        // Network blips (e.g. laptop waking up) are worth a retry; aborts are not
+        if (error.name === 'AbortError' || attempt >= MAX_RETRIES) throw error;
+        await this._delay(RETRY_BASE_DELAY_MS * 2 ** attempt++, signal);
+        continue;
+      }
+
+      this._updateRateLimit(response);
+
+      if (response.status === 429) {
+        this._checkDailyLimit();
+        await this._waitForNextWindow(onWait, signal);
+        continue;
+      }
+
+      if (response.status >= 500 && attempt < MAX_RETRIES) {
+        await this._delay(RETRY_BASE_DELAY_MS * 2 ** attempt++, signal);
+        continue;
+      }
+
+      if (!response.ok) {
+        const error = new Error(await this._describeError(response));
+        error.status = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    }
+  }
+
+  /**
+   * Build a readable message from a failed response
+   */
+  async _describeError(response) {
+    let errorMessage = response.statusText || `HTTP ${response.status}`;
+    try {
+      const error = await response.json();
+      errorMessage = error.message || error.errors?.[0]?.message || errorMessage;
+    } catch (e) {
+      // Response wasn't JSON, use status text
+    }
+
+    // Add helpful context for common errors
+    if (response.status === 401) {
+      return `Authorization failed. Please try re-authorizing with Strava. (${errorMessage})`;
+    } else if (response.status === 403) {
+      return `Access forbidden. You may need to grant additional permissions. (${errorMessage})`;
+    }
+    return errorMessage;
+  }
+
+  /**
+   * Throw if the last response said the daily quota is used up (it resets at midnight UTC)
+   */
+  _checkDailyLimit() {
+    if (!this.rateLimit) return;
+
+    const sameDay = new Date(this.rateLimit.updatedAt).toISOString().slice(0, 10) === new Date().toISOString().slice(0, 10);
+    if (sameDay && this.rateLimit.dailyUsage >= this.rateLimit.dailyLimit) {
+      const error = new Error('Daily Strava API limit reached. Try again tomorrow - progress so far is saved.');
+      error.dailyLimitReached = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Read X-RateLimit-Limit / X-RateLimit-Usage ("15min,daily") from a response
+   */
+  _updateRateLimit(response) {
+    // Newer apps get separate (stricter) read limits; prefer those for GET requests
+    const limit = response.headers.get('X-ReadRateLimit-Limit') || response.headers.get('X-RateLimit-Limit');
+    const usage = response.headers.get('X-ReadRateLimit-Usage') || response.headers.get('X-RateLimit-Usage');
+    if (!limit || !usage) return;
+
+    const [shortLimit, dailyLimit] = limit.split(',').map(Number);
+    const [shortUsage, dailyUsage] = usage.split(',').map(Number);
+    this.rateLimit = { shortLimit, shortUsage, dailyLimit, dailyUsage, updatedAt: Date.now() };
+  }
+
+  /**
+   * Sleep until the next quarter hour, when Strava resets the short-term limit
+   */
+  async _waitForNextWindow(onWait, signal) {
+    const now = Date.now();
+    const waitMs = RATE_LIMIT_WINDOW_MS - (now % RATE_LIMIT_WINDOW_MS) + 1000;
+
+    if (onWait) {
+      onWait(Math.ceil(waitMs / 1000));
+    }
+
+    await this._delay(waitMs, signal);
+
+    if (this.rateLimit) {
+      this.rateLimit.shortUsage = 0;
+    }
+  }
+
   /**
    * Get athlete info
    */
@@ -303,9 +867,71 @@ export class StravaAPI {
   }
 
   /**
-   * Delay helper
+   * Import activity files of any supported format (GPX, TCX, FIT, GeoJSON,
+   * activity JSON or a Strava export ZIP), detected from the file contents.
+   * Files are parsed independently so one bad file doesn't abort the batch.
+   * @param {FileList|Array<File>} files
+   * @param {Function} onProgress - Called with the number of activities imported so far
+   * @returns {{ activities: Array, errors: Array<{ file: string, error: string }> }}
+   */
+  async importFiles(files, onProgress = null) {
+    const activities = [];
+    const errors = [];
+
+    for (const file of Array.from(files)) {
+      try {
+        const bytes = new Uint8Array(await this._readFileAsArrayBuffer(file));
+        const result = await importActivityFile(bytes, file.name, {
+          fallbackDate: new Date(file.lastModified),
+          onProgress: (count) => onProgress && onProgress(activities.length + count)
+        });
+
+        activities.push(...result.activities);
+        errors.push(...result.errors);
+      } catch (error) {
+        errors.push({ file: file.name, error: error.message });
+      }
+
+      if (onProgress) {
+        onProgress(activities.length);
+      }
+    }
+
+    return { activities, errors };
+  }
+
+  /**
+   * Read a File as an ArrayBuffer
+   */
+  _readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Delay helper (rejects with AbortError if the signal fires first)
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      // Drop the listener once the wait is over - the signal outlives many retries
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
@@ -0,0 +1,89 @@
+/**
+ * Named athlete profiles sharing one browser
+ * Each profile gets its own localStorage keys and IndexedDB database.
+ * The default profile uses the original un-suffixed names, so data from
+ * before profiles existed keeps working without a migration.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILES_KEY = 'strava_profiles';
+const ACTIVE_PROFILE_KEY = 'strava_active_profile';
+
+/**
+ * Namespace a storage key or database name for a profile
+ */
+export function profileStorageKey(baseKey, profileId = DEFAULT_PROFILE_ID) {
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}__${profileId}`;
+}
+
+export class ProfileManager {
+  /**
+   * Get all profiles (the default profile is always present)
+   * @returns {Array<{ id: string, name: string }>}
+   */
+  list() {
+    let profiles = [];
+    try {
+      profiles = JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+    } catch (e) {
+      console.error('Failed to read profiles:', e);
+    }
+
+    if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+      profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+    }
+    return profiles;
+  }
+
+  /**
+   * Get the active profile id (falls back to default if it was deleted)
+   */
+  getActiveId() {
+    const id = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    return this.list().some(p => p.id === id) ? id : DEFAULT_PROFILE_ID;
+  }
+
+  getActive() {
+    const id = this.getActiveId();
+    return this.list().find(p => p.id === id);
+  }
+
+  setActive(id) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  }
+
+  /**
+   * Create a profile
+   * @returns {{ id: string, name: string }}
+   */
+  create(name) {
+    const profile = {
+      id: `p${Date.now().toString(36)}`,
+      name: name.trim() || 'Unnamed'
+    };
+    this._save([...this.list(), profile]);
+    return profile;
+  }
+
+  rename(id, name) {
+    this._save(this.list().map(p => (p.id === id ? { ...p, name: name.trim() || p.name } : p)));
+  }
+
+  /**
+   * Remove a profile from the list. The caller is responsible for clearing its data.
+   * The default profile can't be removed.
+   */
+  remove(id) {
+    if (id === DEFAULT_PROFILE_ID) return;
+
+    this._save(this.list().filter(p => p.id !== id));
+    if (localStorage.getItem(ACTIVE_PROFILE_KEY) === id) {
+      this.setActive(DEFAULT_PROFILE_ID);
+    }
+  }
+
+  _save(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  }
+}
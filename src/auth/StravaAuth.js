@@ -1,18 +1,21 @@
 /**
  * Client-side Strava OAuth Authentication
  * No server required - all credentials stored in localStorage
+ * Keys are namespaced per profile (see ProfileManager)
  */
+import { DEFAULT_PROFILE_ID, profileStorageKey } from './ProfileManager.js';
 
 export class StravaAuth {
-  constructor() {
+  constructor(profileId = DEFAULT_PROFILE_ID) {
+    this.profileId = profileId;
     this.storageKeys = {
-      clientId: 'strava_client_id',
-      clientSecret: 'strava_client_secret',
-      scope: 'strava_scope',
-      accessToken: 'strava_access_token',
-      refreshToken: 'strava_refresh_token',
-      expiresAt: 'strava_expires_at',
-      athlete: 'strava_athlete'
+      clientId: profileStorageKey('strava_client_id', profileId),
+      clientSecret: profileStorageKey('strava_client_secret', profileId),
+      scope: profileStorageKey('strava_scope', profileId),
+      accessToken: profileStorageKey('strava_access_token', profileId),
+      refreshToken: profileStorageKey('strava_refresh_token', profileId),
+      expiresAt: profileStorageKey('strava_expires_at', profileId),
+      athlete: profileStorageKey('strava_athlete', profileId)
     };
   }
 
@@ -244,7 +247,7 @@ export class StravaAuth {
   }
 
   /**
-   * Clear all stored data (logout)
+   * Clear all stored data for this profile (logout)
    */
   clearAll() {
     Object.values(this.storageKeys).forEach(key => {
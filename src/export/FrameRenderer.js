@@ -0,0 +1,137 @@
+/**
+ * Frame Renderer
+ * Renders export frames off the main thread: the projected scene and base map
+ * are sent to a worker once, then each frame comes back as an ImageBitmap.
+ * Falls back to drawing on the main thread where OffscreenCanvas isn't available.
+ */
+import { drawBackground, drawFrame, drawHeatmap, IDENTITY_VIEW } from './frameDrawing.js';
+
+export class FrameRenderer {
+  /**
+   * @param {Object} scene - Projected routes (see frameDrawing.js)
+   * @param {HTMLCanvasElement|null} basemap - Base map at output size, or null for transparent
+   */
+  constructor(scene, basemap = null) {
+    this.scene = scene;
+    this.basemap = basemap;
+    this.worker = null;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextId = 0;
+
+    // Main-thread fallback
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  static isWorkerSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+  }
+
+  /**
+   * Start the worker and ship it the scene (or set up the fallback canvas)
+   */
+  async init() {
+    if (FrameRenderer.isWorkerSupported()) {
+      try {
+        this.worker = new Worker(new URL('./frameWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this._onMessage(data);
+        this.worker.onerror = (e) => this._rejectAll(new Error(e.message || 'Export worker failed'));
+
+        const basemap = this.basemap ? await createImageBitmap(this.basemap) : null;
+        await this._request({ type: 'init', scene: this.scene, basemap }, basemap ? [basemap] : []);
+        return;
+      } catch (error) {
+        console.warn('Export worker unavailable, rendering frames on the main thread:', error);
+        this.terminate();
+      }
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.scene.width;
+    this.canvas.height = this.scene.height;
+    this.ctx = this.canvas.getContext('2d');
+  }
+
+  /**
+   * Render the animation frame at `time`
+   * @param {Object} options
+   * @param {Object} options.view - Scene to output pixels (see frameDrawing.js)
+   * @param {HTMLCanvasElement|null} options.basemap - New base map for this and later
+   *   frames (moving camera); leave undefined to keep the current one
+   * @returns {Promise<ImageBitmap|HTMLCanvasElement>} Draw it before the next request;
+   *   close() it if it's an ImageBitmap
+   */
+  async renderFrame(time, { view = IDENTITY_VIEW, basemap = undefined } = {}) {
+    if (this.worker) {
+      const { message, transfer } = await this._basemapMessage(basemap);
+      const { bitmap } = await this._request({ type: 'frame', time: time.getTime(), view, ...message }, transfer);
+      return bitmap;
+    }
+
+    if (basemap !== undefined) this.basemap = basemap;
+    drawBackground(this.ctx, this.scene, this.basemap);
+    drawFrame(this.ctx, this.scene, time.getTime(), view);
+    return this.canvas;
+  }
+
+  /**
+   * Render all routes at one opacity (the final heatmap frame)
+   * @param {Object} options - view and basemap, as for renderFrame
+   */
+  async renderHeatmap(opacity, { view = IDENTITY_VIEW, basemap = undefined } = {}) {
+    if (this.worker) {
+      const { message, transfer } = await this._basemapMessage(basemap);
+      const { bitmap } = await this._request({ type: 'heatmap', opacity, view, ...message }, transfer);
+      return bitmap;
+    }
+
+    if (basemap !== undefined) this.basemap = basemap;
+    drawBackground(this.ctx, this.scene, this.basemap);
+    drawHeatmap(this.ctx, this.scene, opacity, view);
+    return this.canvas;
+  }
+
+  /**
+   * Message fields (and transferables) that swap the worker's base map, if one was given
+   */
+  async _basemapMessage(basemap) {
+    if (basemap === undefined) {
+      return { message: {}, transfer: [] };
+    }
+    const bitmap = basemap ? await createImageBitmap(basemap) : null;
+    return { message: { basemap: bitmap }, transfer: bitmap ? [bitmap] : [] };
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this._rejectAll(new Error('Frame renderer stopped'));
+  }
+
+  _request(message, transfer = []) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  _onMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) return;
+    this.pending.delete(data.id);
+
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data);
+    }
+  }
+
+  _rejectAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+}
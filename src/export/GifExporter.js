@@ -1,21 +1,104 @@
 /**
  * GIF Exporter
- * Captures animation frames and exports as animated GIF
+ * Captures animation frames and exports as animated GIF (or APNG/WebP, WebM/MP4 video,
+ * or a ZIP of PNG frames)
  */
 import GIF from 'gif.js';
-import html2canvas from 'html2canvas';
+import { encodeWebM, encodeMP4 } from './videoEncoder.js';
+import { encodeAPNG, encodeAnimatedWebP } from './animatedImage.js';
+import { encodeFrameSequence } from './frameSequence.js';
+import { FrameRenderer } from './FrameRenderer.js';
+import { TileCompositor } from './TileCompositor.js';
+import { DEFAULT_TILE_SOURCE } from '../map/tileSources.js';
+import { adaptColorToBasemap, getActivityDuration } from '../animation/routeStyle.js';
+import { formatClockTime } from '../animation/AnimationController.js';
+
+// Output formats: label for progress messages, file extension, whether the
+// format keeps an alpha channel (needed for a transparent background) and
+// whether a browser tab can display the result
+export const EXPORT_FORMATS = {
+  gif: { label: 'GIF', extension: 'gif', alpha: false, viewable: true },
+  apng: { label: 'APNG', extension: 'png', alpha: true, viewable: true },
+  webp: { label: 'WebP', extension: 'webp', alpha: true, viewable: true },
+  webm: { label: 'WebM', extension: 'webm', alpha: false, viewable: false },
+  mp4: { label: 'MP4', extension: 'mp4', alpha: false, viewable: false },
+  frames: { label: 'PNG frames', extension: 'zip', alpha: true, viewable: false }
+};
 
 export class GifExporter {
   constructor(animationController, map) {
     this.animationController = animationController;
     this.map = map;
+    this.tileSource = DEFAULT_TILE_SOURCE; // Base map tiles, fetched at export resolution
+    this.tileCache = null; // Offline TileCache, checked before fetching tiles
     this.isExporting = false;
     this.onProgress = null;
     this.onComplete = null;
+
+    // Cancel / pause state for the running export
+    this.abortController = null;
+    this.phase = null; // 'capture' | 'encode' while exporting
+    this.isPaused = false;
+    this._pausePromise = null;
+    this._resumeCapture = null;
+    this._lastProgress = 0;
+  }
+
+  /**
+   * Cancel the running export - export() rejects with an AbortError and
+   * nothing is returned. Frame workers and gif.js workers are terminated.
+   */
+  cancel() {
+    if (!this.isExporting) return;
+    this.abortController.abort(new DOMException('Export cancelled', 'AbortError'));
+    this.resume(); // Wake a paused capture so it sees the abort
+  }
+
+  /**
+   * Whether the export can be paused right now (capture phase only -
+   * encoders run in workers/real time and can't be held mid-stream)
+   */
+  get canPause() {
+    return this.isExporting && this.phase === 'capture';
+  }
+
+  /**
+   * Pause frame capture before the next frame
+   * @returns {boolean} Whether the export is now paused
+   */
+  pause() {
+    if (!this.canPause || this.isPaused) return this.isPaused;
+    this.isPaused = true;
+    this._pausePromise = new Promise(resolve => { this._resumeCapture = resolve; });
+    this._updateProgress(this._lastProgress, 'Paused');
+    return true;
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._resumeCapture();
+    this._pausePromise = null;
   }
 
   /**
-   * Export animation as GIF
+   * Throw if the export was cancelled; wait here while paused
+   */
+  async _checkpoint(signal) {
+    signal.throwIfAborted();
+    if (this.isPaused) {
+      await this._pausePromise;
+      signal.throwIfAborted();
+    }
+  }
+
+  /**
+   * Export animation as GIF or video
+   * Frames are captured first, then handed to the format's encoder as
+   * { canvas, delay, time, clock, heatmap } objects: the rendered canvas, its
+   * display time in ms, the timeline time it shows (null for a clock-replay
+   * heatmap), whether that time is a clock time, and whether it's the final
+   * heatmap frame. Every encoder takes these; most only read canvas and delay.
    */
   async export(options = {}) {
     if (this.isExporting) {
@@ -31,26 +114,66 @@ export class GifExporter {
       fps = 15,
       quality = 10, // 1-30, lower is better quality but slower
       captureBox = null, // { left, top, width, height } in pixels
-      dateOverlay = { enabled: false }, // { enabled, corner, color }
-      includeHeatmapFrame = true
+      dateOverlay = { enabled: false }, // { enabled, corner, color, format, legend }
+      colorLegend = null, // { title, colors, ticks, corner } scale for data-driven colors
+      includeHeatmapFrame = true,
+      format = 'gif', // 'gif' | 'apng' | 'webp' | 'webm' | 'mp4' | 'frames'
+      bitrate = 8000000, // bits per second (video formats only)
+      transparentBackground = false, // routes only, no base map (formats with alpha only)
+      retinaTiles = true // @2x base map tiles where the tile source has them
     } = options;
 
-    console.log('Starting export with options:', { startDate, endDate, duration, width, height, fps, quality });
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    if (transparentBackground && !EXPORT_FORMATS[format].alpha) {
+      throw new Error(`${EXPORT_FORMATS[format].label} doesn't support a transparent background`);
+    }
+
+    console.log('Starting export with options:', { startDate, endDate, duration, width, height, fps, quality, format, bitrate });
 
     this.isExporting = true;
+    this.phase = 'capture';
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
 
-    try {
-      // Get unique activity dates within the range (to skip empty days)
-      const activityDates = this._getActivityDatesInRange(startDate, endDate);
-      console.log(`Found ${activityDates.length} days with activities`);
+    let renderer = null;
+    let frames = [];
+    let restoreAnimation = null;
 
-      // Sample activity dates down to at most (duration-1)*fps frames.
-      // Each sampled date becomes exactly one frame so no date ever gets
-      // duplicated (which would make it appear longer than others).
+    // Kill the frame worker straight away rather than at the next checkpoint
+    const onAbort = () => {
+      if (renderer) renderer.terminate();
+    };
+    signal.addEventListener('abort', onAbort);
+
+    try {
       const maxFrames = Math.max(1, Math.floor((duration - 1) * fps));
-      const frameTimes = this._sampleDates(activityDates, maxFrames, startDate, endDate);
+
+      // Time-of-day replays run the activities in the date range over one clock
+      const clockReplay = this.animationController.replayMode === 'time-of-day';
+      let activities = this.animationController.sortedActivities;
+      let frameTimes;
+
+      if (clockReplay) {
+        activities = this._getActivitiesInRange(startDate, endDate);
+        frameTimes = this._getClockFrameTimes(activities, maxFrames);
+        console.log(`Replaying ${activities.length} activities on a clock`);
+      } else {
+        // Get unique activity dates within the range (to skip empty days)
+        const activityDates = this._getActivityDatesInRange(startDate, endDate);
+        console.log(`Found ${activityDates.length} days with activities`);
+
+        // Sample activity dates down to at most (duration-1)*fps frames.
+        // Each sampled date becomes exactly one frame so no date ever gets
+        // duplicated (which would make it appear longer than others).
+        frameTimes = this._sampleDates(activityDates, maxFrames, startDate, endDate);
+      }
       const frameCount = frameTimes.length;
 
+      // The clock replaces the calendar date in the overlay
+      const overlay = clockReplay ? { ...dateOverlay, clock: true } : dateOverlay;
+
       console.log(`Will capture ${frameCount} frames`);
 
       // Update progress
@@ -60,7 +183,12 @@ export class GifExporter {
       const wasPlaying = this.animationController.isPlaying;
       const originalTime = this.animationController.currentTime;
       this.animationController.pause();
-
+      restoreAnimation = () => {
+        this.animationController.seek(originalTime);
+        if (wasPlaying) {
+          this.animationController.play();
+        }
+      };
 
       // Calculate the actual lat/lng bounds for the capture box area
       // If no capture box specified, use full map bounds
@@ -73,61 +201,135 @@ export class GifExporter {
         console.log('Using full map bounds:', exportBounds);
       }
 
-      // Capture base map tiles once (reused for all frames)
-      this._updateProgress(5, 'Capturing base map...');
-      const baseMapCanvas = await this._captureBasemap(width, height, captureBox);
-      console.log('Base map captured');
+      // Without a base map the frames keep a transparent background
+      const compositor = transparentBackground
+        ? null
+        : new TileCompositor(this.tileSource, { retina: retinaTiles, cache: this.tileCache });
+
+      // Camera keyframes or the follow camera pan and zoom the export: every frame
+      // gets its own bounds (and base map) instead of exportBounds throughout
+      const activeCamera = this.animationController.getCamera();
+      const camera = activeCamera && !activeCamera.isEmpty ? activeCamera : null;
+      let lastCameraBounds = null;
+      const getCameraFrame = async (time, progress) => {
+        const bounds = this._getCameraBounds(camera.getView(time.getTime()), captureBox);
+        const frame = { view: this._getFrameView(bounds, exportBounds, width, height) };
+        // The camera holds still before the first and after the last keyframe - keep the base map
+        if (compositor && !(lastCameraBounds && bounds.equals(lastCameraBounds))) {
+          frame.basemap = await this._captureBasemap(compositor, width, height, bounds, signal, progress);
+        }
+        lastCameraBounds = bounds;
+        return frame;
+      };
+
+      // Without a camera, capture base map tiles once (reused for all frames)
+      let baseMapCanvas = null;
+      if (compositor && !camera) {
+        this._updateProgress(5, 'Loading map tiles...');
+        baseMapCanvas = await this._captureBasemap(compositor, width, height, exportBounds, signal);
+        console.log('Base map captured');
+      }
+      await this._checkpoint(signal);
+
+      // Project every route into export pixels once, then hand the scene to the
+      // frame renderer (a worker where supported, so the page stays responsive)
+      const scene = await this._prepareRenderScene(width, height, exportBounds, signal, activities);
+      renderer = new FrameRenderer(scene, baseMapCanvas);
+      await renderer.init();
+      await this._checkpoint(signal);
 
       // Each frame gets equal delay so every date appears for the same duration
       const frameDelayMs = Math.round((duration - 1) * 1000 / frameCount);
-      const frames = [];
 
-      // Capture frames — draw directly from activities array, no Leaflet seek needed
+      // Capture frames — rendered from the projected scene, no Leaflet seek needed
       for (let i = 0; i < frameTimes.length; i++) {
+        await this._checkpoint(signal);
+
         const currentTime = frameTimes[i];
         const isLast = i === frameTimes.length - 1;
 
-        const canvas = await this._captureMapCanvas(width, height, baseMapCanvas, exportBounds, currentTime, dateOverlay);
-        frames.push({ canvas, delay: isLast ? 1000 : frameDelayMs });
+        const frame = camera ? await getCameraFrame(currentTime, 10 + (i / frameTimes.length) * 40) : {};
+        const canvas = await this._captureMapCanvas(renderer, width, height, currentTime, overlay, colorLegend, frame);
+        frames.push({ canvas, delay: isLast ? 1000 : frameDelayMs, time: currentTime, clock: clockReplay });
 
-        // Update progress (5-50% for frame capture)
-        const progress = 5 + ((i + 1) / frameTimes.length) * 45;
+        // Update progress (10-50% for frame capture)
+        const progress = 10 + ((i + 1) / frameTimes.length) * 40;
         this._updateProgress(progress, `Captured frame ${i + 1}/${frameTimes.length}`);
       }
 
       // Optionally capture final "heatmap" frame showing all routes with equal opacity
       if (includeHeatmapFrame) {
-        const finalCanvas = await this._captureHeatmapFrame(width, height, baseMapCanvas, exportBounds, endDate, dateOverlay);
-        frames.push({ canvas: finalCanvas, delay: 1000 });
+        await this._checkpoint(signal);
+        // A clock time means nothing once every route is shown - the heatmap gets no clock
+        const heatmapTime = clockReplay ? null : endDate;
+        // Framed like the last frame
+        const frame = camera ? await getCameraFrame(frameTimes[frameTimes.length - 1], 50) : {};
+        const finalCanvas = await this._captureHeatmapFrame(renderer, width, height, heatmapTime, overlay, colorLegend, frame);
+        frames.push({ canvas: finalCanvas, delay: 1000, time: heatmapTime, heatmap: true });
         this._updateProgress(50, `Captured final heatmap frame`);
       }
 
+      renderer.terminate();
+      renderer = null;
+
       // Restore animation state
-      this.animationController.seek(originalTime);
-      if (wasPlaying) {
-        this.animationController.play();
+      restoreAnimation();
+      restoreAnimation = null;
+
+      await this._checkpoint(signal);
+      this.phase = 'encode';
+
+      // Encode
+      const label = EXPORT_FORMATS[format].label;
+      this._updateProgress(50, `Encoding ${label}...`);
+      let blob;
+      if (format === 'gif') {
+        blob = await this._encodeGif(frames, quality, width, height, signal);
+      } else if (format === 'apng' || format === 'webp') {
+        blob = await this._encodeAnimatedImage(format, frames, width, height, signal);
+      } else if (format === 'frames') {
+        blob = await this._encodeFrameSequence(frames, width, height, signal);
+      } else {
+        blob = await this._encodeVideo(format, frames, width, height, bitrate, signal);
       }
-
-      // Create GIF
-      this._updateProgress(50, 'Encoding GIF...');
-      const gifBlob = await this._encodeGif(frames, quality, width, height);
+      signal.throwIfAborted();
 
       // Complete
       this._updateProgress(100, 'Complete!');
-      this.isExporting = false;
+      this._finishExport(signal, onAbort);
 
       if (this.onComplete) {
-        this.onComplete(gifBlob);
+        this.onComplete(blob);
       }
 
-      return gifBlob;
+      return blob;
 
     } catch (error) {
-      this.isExporting = false;
-      throw error;
+      if (renderer) renderer.terminate();
+      if (restoreAnimation) restoreAnimation();
+
+      // Drop partial frames now rather than waiting for GC - they can be hundreds of MB
+      frames.forEach(({ canvas }) => { canvas.width = 0; });
+      frames = [];
+
+      this._finishExport(signal, onAbort);
+
+      // Workers stopped by the abort reject with their own errors; report the cancel instead
+      throw signal.aborted ? signal.reason : error;
     }
   }
 
+  /**
+   * Reset export state (success, failure or cancel)
+   */
+  _finishExport(signal, onAbort) {
+    signal.removeEventListener('abort', onAbort);
+    this.resume();
+    this.isExporting = false;
+    this.phase = null;
+    this.abortController = null;
+  }
+
   /**
    * Convert capture box pixel coordinates to lat/lng bounds
    */
@@ -147,115 +349,148 @@ export class GifExporter {
   }
 
   /**
-   * Capture base map tiles (called once per export)
-   * If captureBox is provided, only capture that area
+   * Export bounds while the map shows a camera view: the capture box (or the
+   * whole map) as it would sit over the map at that center and zoom
+   * @param {{ lat: number, lng: number, zoom: number }} view - See CameraTrack.getView and FollowCamera.getView
    */
-  async _captureBasemap(width, height, captureBox = null) {
-    const mapContainer = this.map.getContainer();
+  _getCameraBounds(view, captureBox) {
+    const size = this.map.getSize();
+    const box = captureBox || { left: 0, top: 0, width: size.x, height: size.y };
+    const origin = this.map.project([view.lat, view.lng], view.zoom).subtract(size.divideBy(2));
 
-    // Temporarily hide capture box UI elements
-    const captureBoxEl = document.getElementById('capture-box');
-    const captureOverlay = document.getElementById('capture-overlay');
-    const originalBoxDisplay = captureBoxEl ? captureBoxEl.style.display : null;
-    const originalOverlayDisplay = captureOverlay ? captureOverlay.style.display : null;
-
-    if (captureBoxEl) captureBoxEl.style.display = 'none';
-    if (captureOverlay) captureOverlay.style.display = 'none';
-
-    // Use html2canvas to capture the map tiles
-    const fullCanvas = await html2canvas(mapContainer, {
-      scale: 1,
-      useCORS: true,
-      logging: false,
-      backgroundColor: '#f5f5f5'
-    });
-
-    // Restore capture box UI elements
-    if (captureBoxEl && originalBoxDisplay !== null) captureBoxEl.style.display = originalBoxDisplay;
-    if (captureOverlay && originalOverlayDisplay !== null) captureOverlay.style.display = originalOverlayDisplay;
-
-    // If capture box specified, crop to that area
-    if (captureBox) {
-      const croppedCanvas = document.createElement('canvas');
-      croppedCanvas.width = width;
-      croppedCanvas.height = height;
-      const ctx = croppedCanvas.getContext('2d');
-
-      // Draw the cropped portion of the map, scaled to export dimensions
-      ctx.drawImage(
-        fullCanvas,
-        captureBox.left, captureBox.top, captureBox.width, captureBox.height, // Source rectangle
-        0, 0, width, height // Destination rectangle
-      );
-
-      return croppedCanvas;
-    }
+    const topLeft = this.map.unproject(origin.add([box.left, box.top]), view.zoom);
+    const bottomRight = this.map.unproject(origin.add([box.left + box.width, box.top + box.height]), view.zoom);
+    return L.latLngBounds(topLeft, bottomRight);
+  }
 
-    return fullCanvas;
+  /**
+   * View mapping scene pixels (routes projected for sceneBounds) onto frameBounds
+   * at the output size - see frameDrawing.js
+   */
+  _getFrameView(frameBounds, sceneBounds, width, height) {
+    const topLeft = this._latLngToPixel(frameBounds.getNorth(), frameBounds.getWest(), sceneBounds, width, height);
+    const bottomRight = this._latLngToPixel(frameBounds.getSouth(), frameBounds.getEast(), sceneBounds, width, height);
+    const scaleX = width / (bottomRight.x - topLeft.x);
+    const scaleY = height / (bottomRight.y - topLeft.y);
+    return { scaleX, scaleY, offsetX: -topLeft.x * scaleX, offsetY: -topLeft.y * scaleY };
   }
 
   /**
-   * Capture map as canvas - composite base map with polylines
-   * @param {boolean} isLastFrame - If true, render all routes with equal opacity to highlight overlaps
-   * @param {Date} currentTime - Current animation time for date overlay
-   * @param {Object} dateOverlay - Date overlay settings { enabled, corner, color }
+   * Build the base map (once per export, or whenever a camera moves it)
+   * Tiles are fetched at a zoom matching the export size, so a small capture
+   * box exported at full HD stays sharp. Tiles that fail leave a solid background.
+   * @param {TileCompositor} compositor - Shared across the export so tiles are fetched once
+   * @param {number} progress - Progress to report while tiles load
    */
-  async _captureMapCanvas(width, height, baseMapCanvas, bounds, currentTime, dateOverlay = { enabled: false }) {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+  async _captureBasemap(compositor, width, height, bounds, signal, progress = 5) {
+    const { canvas, failed, total } = await compositor.compose(bounds, width, height, {
+      signal,
+      onProgress: (loaded, count) => {
+        this._updateProgress(progress, `Loading map tiles (${loaded}/${count})...`);
+      }
+    });
 
-    // Draw base map
-    if (baseMapCanvas) {
-      ctx.drawImage(baseMapCanvas, 0, 0, baseMapCanvas.width, baseMapCanvas.height, 0, 0, width, height);
-    } else {
-      ctx.fillStyle = '#f5f5f5';
-      ctx.fillRect(0, 0, width, height);
+    if (total > 0 && failed === total) {
+      console.warn('No map tiles could be loaded - exporting on a plain background');
     }
 
-    // Clip to canvas bounds so off-screen polyline segments don't bleed in from edges
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(0, 0, width, height);
-    ctx.clip();
+    return canvas;
+  }
 
-    // Draw activities up to currentTime directly from the sorted activities array
+  /**
+   * Project every activity into export pixels for the frame renderer.
+   * Coordinates, colors and overlap scores don't change between frames, so
+   * this is the only pass over the raw activity data.
+   * @param {Array} activities - Activities to include, in timeline order
+   * @returns {Promise<Object>} Scene for FrameRenderer (see frameDrawing.js)
+   */
+  async _prepareRenderScene(width, height, bounds, signal, activities = this.animationController.sortedActivities) {
     const ac = this.animationController;
-    let drawnCount = 0;
-    ac.sortedActivities.forEach((activity) => {
-      if (new Date(activity.start_date) > currentTime) return;
-
-      const polylineStr = activity.map?.summary_polyline;
-      if (!polylineStr) return;
-      const coords = this._decodePolyline(polylineStr);
-      if (coords.length < 2) return;
+    const total = activities.length;
+    const routes = [];
+    const indexById = new Map();
+    let activitiesInBounds = 0;
 
-      const points = coords.map(([lat, lng]) => this._latLngToPixel(lat, lng, bounds, width, height));
+    for (let i = 0; i < total; i++) {
+      const activity = activities[i];
+      const coords = ac._getActivityCoords(activity);
+
+      const points = new Float32Array(coords.length * 2);
+      let inBounds = false;
+      coords.forEach(([lat, lng], j) => {
+        const { x, y } = this._latLngToPixel(lat, lng, bounds, width, height);
+        points[j * 2] = x;
+        points[j * 2 + 1] = y;
+        if (x >= 0 && x <= width && y >= 0 && y <= height) inBounds = true;
+      });
+      if (inBounds) activitiesInBounds++;
+
+      const times = ac._getActivityTimes(activity, coords);
+
+      indexById.set(activity.id, routes.length);
+      routes.push({
+        start: ac._getActivityStart(activity),
+        duration: getActivityDuration(activity, times),
+        times: times ? Float32Array.from(times) : null,
+        points,
+        color: this._getActivityColor(activity),
+        runs: ac.colorStrategy?.getSegmentRuns(activity, coords.length) || null,
+        overlapScore: ac._getActivityOverlapScore(coords)
+      });
 
-      const baseColor = this._getActivityColor(activity.type);
-      const activityDate = new Date(activity.start_date);
-      const style = ac._calculateStyle(activityDate, coords, currentTime);
-      const color = ac._darkenColor(baseColor, style.recencyScore * 0.3);
+      // Yield now and then so the progress bar moves on large accounts (5-10%)
+      if (i % 200 === 199) {
+        this._updateProgress(5 + ((i + 1) / total) * 5, `Preparing routes ${i + 1}/${total}...`);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await this._checkpoint(signal);
+      }
+    }
 
-      ctx.beginPath();
-      ctx.moveTo(points[0].x, points[0].y);
-      for (let i = 1; i < points.length; i++) {
-        ctx.lineTo(points[i].x, points[i].y);
+    // The heatmap frame draws in the controller's (unsorted) activity order
+    const heatmapOrder = ac.activities
+      .map(activity => indexById.get(activity.id))
+      .filter(index => index !== undefined);
+
+    this._updateProgress(10, `Prepared ${total} routes`);
+
+    return {
+      width,
+      height,
+      routes,
+      heatmapOrder,
+      activitiesInBounds,
+      style: {
+        ...ac._getStyleRanges(),
+        fadeWindowMs: ac.fadeWindowMs,
+        darkBasemap: !!this.tileSource.dark,
+        headMarkers: ac.replayMode === 'time-of-day',
+        cometTailMs: ac.cometTrails ? ac.getTailMs() : 0
       }
-      ctx.strokeStyle = color;
-      ctx.lineWidth = style.weight * 1.5;
-      ctx.globalAlpha = style.opacity;
-      ctx.stroke();
-      drawnCount++;
-    });
+    };
+  }
 
-    ctx.restore();
-    console.log(`Drew ${drawnCount} polylines for time ${currentTime}`);
+  /**
+   * Capture one animation frame - routes up to currentTime over the base map, plus the overlay
+   * @param {FrameRenderer} renderer
+   * @param {Date} currentTime - Current animation time for routes and date overlay
+   * @param {Object} dateOverlay - Date overlay settings { enabled, corner, color }
+   * @param {Object} colorLegend - Color scale legend, or null
+   * @param {Object} frame - { view, basemap } for a moving camera (see FrameRenderer.renderFrame)
+   */
+  async _captureMapCanvas(renderer, width, height, currentTime, dateOverlay = { enabled: false }, colorLegend = null, frame = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
 
-    // Render date overlay if enabled
-    if (dateOverlay.enabled && currentTime) {
-      this._renderDateOverlay(ctx, width, height, currentTime, dateOverlay.corner, dateOverlay.color, dateOverlay.format);
+    const image = await renderer.renderFrame(currentTime, frame);
+    ctx.drawImage(image, 0, 0);
+    if (image.close) image.close();
+
+    // Render date (or legend) overlay if enabled
+    this._renderOverlay(ctx, width, height, currentTime, dateOverlay);
+    if (colorLegend) {
+      this._renderColorLegend(ctx, width, height, colorLegend);
     }
 
     return canvas;
@@ -297,12 +532,10 @@ export class GifExporter {
   }
 
   /**
-   * Get color for activity type - uses the color scheme from AnimationController
+   * Get color for an activity - uses the color scheme (type or athlete) from AnimationController
    */
-  _getActivityColor(type) {
-    // Get colors from AnimationController's color function
-    const colors = this.animationController.getColorsFn();
-    return colors[type] || colors['default'] || '#888888';
+  _getActivityColor(activity) {
+    return this.animationController._getActivityColor(activity) || '#888888';
   }
 
   /**
@@ -336,117 +569,34 @@ export class GifExporter {
    * Capture heatmap frame showing ALL activities with dynamic opacity
    * Bypasses the maxVisibleActivities limit to show complete route coverage
    * Uses same opacity calculation as screen animation for consistency
+   * @param {FrameRenderer} renderer
    * @param {Date} currentTime - Current animation time for date overlay
    * @param {Object} dateOverlay - Date overlay settings { enabled, corner, color }
+   * @param {Object} colorLegend - Color scale legend, or null
+   * @param {Object} frame - { view, basemap } for a moving camera (see FrameRenderer.renderFrame)
    */
-  async _captureHeatmapFrame(width, height, baseMapCanvas, bounds, currentTime = null, dateOverlay = { enabled: false }) {
-    const activities = this.animationController.activities;
-    console.log(`Capturing heatmap frame with ALL ${activities.length} activities`);
+  async _captureHeatmapFrame(renderer, width, height, currentTime = null, dateOverlay = { enabled: false }, colorLegend = null, frame = {}) {
+    const { activitiesInBounds } = renderer.scene;
+    console.log(`Capturing heatmap frame (${activitiesInBounds} activities in bounds)`);
 
-    // Create an offscreen canvas
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
     const ctx = canvas.getContext('2d');
 
-    // Draw base map first
-    if (baseMapCanvas) {
-      ctx.drawImage(baseMapCanvas, 0, 0, baseMapCanvas.width, baseMapCanvas.height, 0, 0, width, height);
-    } else {
-      ctx.fillStyle = '#f5f5f5';
-      ctx.fillRect(0, 0, width, height);
-    }
+    const image = await renderer.renderHeatmap(this._calculateHeatmapOpacity(activitiesInBounds), frame);
+    ctx.drawImage(image, 0, 0);
+    if (image.close) image.close();
 
-    // Count activities in bounds for opacity calculation
-    let activitiesInBounds = 0;
-    activities.forEach((activity) => {
-      const polylineStr = activity.map?.summary_polyline;
-      if (!polylineStr) return;
-      const coords = this._decodePolyline(polylineStr);
-      if (coords.some(([lat, lng]) => bounds.contains([lat, lng]))) activitiesInBounds++;
-    });
-
-    const dynamicOpacity = this._calculateHeatmapOpacity(activitiesInBounds);
-
-    // Clip to canvas so off-screen segments don't bleed in
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(0, 0, width, height);
-    ctx.clip();
-
-    let drawnCount = 0;
-    activities.forEach((activity) => {
-      const polylineStr = activity.map?.summary_polyline;
-      if (!polylineStr) return;
-      const coords = this._decodePolyline(polylineStr);
-      if (coords.length < 2) return;
-
-      const points = coords.map(([lat, lng]) => this._latLngToPixel(lat, lng, bounds, width, height));
-
-      ctx.beginPath();
-      ctx.moveTo(points[0].x, points[0].y);
-      for (let i = 1; i < points.length; i++) {
-        ctx.lineTo(points[i].x, points[i].y);
-      }
-      ctx.strokeStyle = this._getActivityColor(activity.type);
-      ctx.lineWidth = 2.5;
-      ctx.globalAlpha = dynamicOpacity;
-      ctx.stroke();
-      drawnCount++;
-    });
-
-    ctx.restore();
-    console.log(`Drew ${drawnCount} activities on heatmap frame`);
-
-    // Render date overlay if enabled
-    if (dateOverlay.enabled && currentTime) {
-      this._renderDateOverlay(ctx, width, height, currentTime, dateOverlay.corner, dateOverlay.color, dateOverlay.format);
+    // Render date (or legend) overlay if enabled
+    this._renderOverlay(ctx, width, height, currentTime, dateOverlay);
+    if (colorLegend) {
+      this._renderColorLegend(ctx, width, height, colorLegend);
     }
 
     return canvas;
   }
 
-  /**
-   * Decode Google polyline format to array of [lat, lng] coordinates
-   */
-  _decodePolyline(encoded) {
-    const points = [];
-    let index = 0;
-    let lat = 0;
-    let lng = 0;
-
-    while (index < encoded.length) {
-      let b;
-      let shift = 0;
-      let result = 0;
-
-      do {
-        b = encoded.charCodeAt(index++) - 63;
-        result |= (b & 0x1f) << shift;
-        shift += 5;
-      } while (b >= 0x20);
-
-      const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
-      lat += dlat;
-
-      shift = 0;
-      result = 0;
-
-      do {
-        b = encoded.charCodeAt(index++) - 63;
-        result |= (b & 0x1f) << shift;
-        shift += 5;
-      } while (b >= 0x20);
-
-      const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
-      lng += dlng;
-
-      points.push([lat / 1e5, lng / 1e5]);
-    }
-
-    return points;
-  }
-
   /**
    * Get unique activity dates within a date range
    */
@@ -480,6 +630,36 @@ export class GifExporter {
     return dates;
   }
 
+  /**
+   * Activities that started within a date range (end date inclusive), in timeline order
+   */
+  _getActivitiesInRange(startDate, endDate) {
+    const endOfDay = new Date(endDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    return this.animationController.sortedActivities.filter(activity => {
+      const activityDate = new Date(activity.start_date);
+      return activityDate >= startDate && activityDate <= endOfDay;
+    });
+  }
+
+  /**
+   * Evenly spaced frame times across the clock hours the activities cover.
+   * The first frame (on the hour before the earliest start) is empty.
+   */
+  _getClockFrameTimes(activities, maxFrames) {
+    const range = this.animationController.getTimeRange(activities);
+    if (!range) {
+      throw new Error('No activities in the selected date range');
+    }
+
+    const count = Math.max(2, maxFrames);
+    const span = range.end - range.start;
+    return Array.from({ length: count }, (_, i) =>
+      new Date(range.start.getTime() + span * i / (count - 1))
+    );
+  }
+
   /**
    * Sample activity dates down to at most maxFrames unique entries.
    * Returns one date per frame with no duplicates, so every date gets
@@ -518,7 +698,7 @@ export class GifExporter {
   /**
    * Encode frames as GIF
    */
-  _encodeGif(frames, quality, width, height) {
+  _encodeGif(frames, quality, width, height, signal) {
     return new Promise((resolve, reject) => {
       try {
         const gif = new GIF({
@@ -545,15 +725,24 @@ export class GifExporter {
           this._updateProgress(totalProgress, `Encoding GIF... ${Math.round(progress * 100)}%`);
         });
 
+        // Cancelling terminates gif.js's workers
+        const onAbort = () => {
+          gif.abort();
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
         // Handle completion
         gif.on('finished', (blob) => {
           console.log('GIF encoding complete!', blob);
+          signal.removeEventListener('abort', onAbort);
           resolve(blob);
         });
 
         // Handle errors
         gif.on('error', (error) => {
           console.error('GIF encoding error:', error);
+          signal.removeEventListener('abort', onAbort);
           reject(error);
         });
 
@@ -566,10 +755,66 @@ export class GifExporter {
     });
   }
 
+  /**
+   * Encode frames as animated PNG or animated WebP
+   */
+  async _encodeAnimatedImage(format, frames, width, height, signal) {
+    const label = EXPORT_FORMATS[format].label;
+    const encode = format === 'apng' ? encodeAPNG : encodeAnimatedWebP;
+
+    return encode(frames, {
+      width,
+      height,
+      signal,
+      onProgress: (progress) => {
+        const totalProgress = 50 + (progress * 50); // Second 50% is encoding
+        this._updateProgress(totalProgress, `Encoding ${label}... ${Math.round(progress * 100)}%`);
+      }
+    });
+  }
+
+  /**
+   * Write frames as numbered PNGs in a ZIP - lossless, no GIF quantization
+   */
+  async _encodeFrameSequence(frames, width, height, signal) {
+    return encodeFrameSequence(frames, {
+      width,
+      height,
+      signal,
+      onProgress: (progress) => {
+        const totalProgress = 50 + (progress * 50); // Second 50% is encoding
+        this._updateProgress(totalProgress, `Writing PNG frames... ${Math.round(progress * 100)}%`);
+      }
+    });
+  }
+
+  /**
+   * Encode frames as WebM or MP4 video
+   */
+  async _encodeVideo(format, frames, width, height, bitrate, signal) {
+    const label = EXPORT_FORMATS[format].label;
+    const encode = format === 'webm' ? encodeWebM : encodeMP4;
+
+    // WebM is recorded in real time, so say so - a hidden tab throttles the timers
+    const hint = format === 'webm' ? ' (real time - keep this tab visible)' : '';
+
+    return encode(frames, {
+      width,
+      height,
+      bitrate,
+      signal,
+      onProgress: (progress) => {
+        const totalProgress = 50 + (progress * 50); // Second 50% is encoding
+        this._updateProgress(totalProgress, `Encoding ${label}... ${Math.round(progress * 100)}%${hint}`);
+      }
+    });
+  }
+
   /**
    * Update progress callback
    */
   _updateProgress(percent, message) {
+    this._lastProgress = percent;
     if (this.onProgress) {
       this.onProgress(percent, message);
     }
@@ -606,6 +851,119 @@ export class GifExporter {
     }
   }
 
+  /**
+   * Render the corner overlay - the athlete legend if one was given, otherwise the date
+   * (or the clock, for time-of-day replays)
+   */
+  _renderOverlay(ctx, width, height, currentTime, dateOverlay) {
+    if (!dateOverlay.enabled) return;
+
+    if (dateOverlay.legend) {
+      this._renderLegendOverlay(ctx, width, height, dateOverlay.legend, dateOverlay.corner);
+    } else if (currentTime && dateOverlay.clock) {
+      this._renderClockOverlay(ctx, width, height, currentTime, dateOverlay.corner, dateOverlay.color);
+    } else if (currentTime) {
+      this._renderDateOverlay(ctx, width, height, currentTime, dateOverlay.corner, dateOverlay.color, dateOverlay.format);
+    }
+  }
+
+  /**
+   * Shadow behind overlay text - subtle on light maps, a dark halo on dark maps
+   * so the text stays readable over bright routes
+   */
+  _applyOverlayShadow(ctx) {
+    if (this.tileSource.dark) {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.85)';
+      ctx.shadowBlur = 6;
+      ctx.shadowOffsetX = 0;
+      ctx.shadowOffsetY = 0;
+    } else {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+      ctx.shadowBlur = 4;
+      ctx.shadowOffsetX = 1;
+      ctx.shadowOffsetY = 1;
+    }
+  }
+
+  /**
+   * Render a legend of colored entries (e.g. athletes) in a corner
+   * @param {Array<{ name: string, color: string }>} entries
+   */
+  _renderLegendOverlay(ctx, width, height, entries, corner) {
+    if (!entries || entries.length === 0) return;
+
+    const padding = Math.max(15, width * 0.015);
+    const fontSize = Math.max(14, width * 0.015);
+    const lineHeight = fontSize * 1.5;
+    const swatch = fontSize * 0.7;
+
+    ctx.save();
+    ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    const textWidth = Math.max(...entries.map(e => ctx.measureText(e.name).width));
+    const boxWidth = swatch + fontSize * 0.5 + textWidth;
+    const boxHeight = entries.length * lineHeight;
+
+    const left = corner === 'top-right' || corner === 'bottom-right' ? width - padding - boxWidth : padding;
+    const top = corner === 'bottom-left' || corner === 'bottom-right' ? height - padding - boxHeight : padding;
+
+    // Same shadow as the date overlay
+    this._applyOverlayShadow(ctx);
+
+    entries.forEach((entry, i) => {
+      const y = top + i * lineHeight + lineHeight / 2;
+      ctx.fillStyle = adaptColorToBasemap(entry.color, !!this.tileSource.dark);
+      ctx.beginPath();
+      ctx.arc(left + swatch / 2, y, swatch / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(entry.name, left + swatch + fontSize * 0.5, y);
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Render a color scale legend (title, gradient bar, min/mid/max labels) in a corner
+   * @param {Object} legend - { title, colors, ticks: [{ position, label }], corner } (see ColorStrategy.getLegend)
+   */
+  _renderColorLegend(ctx, width, height, { title, colors, ticks, corner }) {
+    const dark = !!this.tileSource.dark;
+    const padding = Math.max(15, width * 0.015);
+    const fontSize = Math.max(12, width * 0.011);
+    const barWidth = Math.max(120, width * 0.18);
+    const barHeight = fontSize * 0.8;
+    const boxHeight = fontSize * 1.4 + barHeight + fontSize * 1.4;
+
+    const left = corner === 'top-right' || corner === 'bottom-right' ? width - padding - barWidth : padding;
+    const top = corner === 'bottom-left' || corner === 'bottom-right' ? height - padding - boxHeight : padding;
+
+    ctx.save();
+    ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+    ctx.fillStyle = dark ? '#ffffff' : '#333333';
+    ctx.textBaseline = 'top';
+    this._applyOverlayShadow(ctx);
+
+    ctx.textAlign = 'left';
+    ctx.fillText(title, left, top);
+
+    const barTop = top + fontSize * 1.4;
+    const gradient = ctx.createLinearGradient(left, 0, left + barWidth, 0);
+    colors.forEach((color, i) => {
+      gradient.addColorStop(i / (colors.length - 1), adaptColorToBasemap(color, dark));
+    });
+    ctx.fillStyle = gradient;
+    ctx.fillRect(left, barTop, barWidth, barHeight);
+
+    ctx.fillStyle = dark ? '#ffffff' : '#333333';
+    ticks.forEach(({ position, label }) => {
+      ctx.textAlign = position === 0 ? 'left' : position === 1 ? 'right' : 'center';
+      ctx.fillText(label, left + position * barWidth, barTop + barHeight + fontSize * 0.4);
+    });
+
+    ctx.restore();
+  }
+
   /**
    * Render date overlay on canvas
    */
@@ -618,7 +976,7 @@ export class GifExporter {
 
     ctx.save();
     ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
-    ctx.fillStyle = color;
+    ctx.fillStyle = adaptColorToBasemap(color, !!this.tileSource.dark);
     ctx.textBaseline = 'top';
 
     // Calculate text dimensions
@@ -655,16 +1013,62 @@ export class GifExporter {
         ctx.textAlign = 'left';
     }
 
-    // Add subtle shadow for better visibility
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-    ctx.shadowBlur = 4;
-    ctx.shadowOffsetX = 1;
-    ctx.shadowOffsetY = 1;
+    this._applyOverlayShadow(ctx);
 
     ctx.fillText(dateText, x, y);
     ctx.restore();
   }
 
+  /**
+   * Render a clock face and HH:MM for time-of-day replays, in place of the date
+   */
+  _renderClockOverlay(ctx, width, height, time, corner, color) {
+    const text = formatClockTime(time);
+    const padding = Math.max(15, width * 0.015);
+    const fontSize = Math.max(16, width * 0.02); // Same size as the date
+    const radius = fontSize * 0.7;
+    const gap = fontSize * 0.4;
+
+    ctx.save();
+    ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+
+    const boxWidth = radius * 2 + gap + ctx.measureText(text).width;
+    const boxHeight = Math.max(radius * 2, fontSize);
+    const left = corner === 'top-right' || corner === 'bottom-right' ? width - padding - boxWidth : padding;
+    const top = corner === 'bottom-left' || corner === 'bottom-right' ? height - padding - boxHeight : padding;
+    const cx = left + radius;
+    const cy = top + boxHeight / 2;
+
+    const textColor = adaptColorToBasemap(color, !!this.tileSource.dark);
+    ctx.strokeStyle = textColor;
+    ctx.fillStyle = textColor;
+    ctx.lineCap = 'round';
+    this._applyOverlayShadow(ctx);
+
+    // Dial
+    ctx.lineWidth = Math.max(1.5, radius * 0.12);
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Hour and minute hands (turns are fractions of a full circle from 12 o'clock)
+    const drawHand = (turns, length) => {
+      const angle = turns * Math.PI * 2 - Math.PI / 2;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(cx + Math.cos(angle) * length, cy + Math.sin(angle) * length);
+      ctx.stroke();
+    };
+    const minutes = time.getMinutes();
+    drawHand(((time.getHours() % 12) + minutes / 60) / 12, radius * 0.5);
+    drawHand(minutes / 60, radius * 0.8);
+
+    ctx.fillText(text, left + radius * 2 + gap, cy);
+    ctx.restore();
+  }
+
   /**
    * Download blob as file
    */
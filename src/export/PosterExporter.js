@@ -0,0 +1,403 @@
+/**
+ * Poster Exporter
+ * Renders every filtered activity in the capture area as a static print poster:
+ * PNG at any DPI, SVG with vector paths, or PDF.
+ * Uses the same Mercator projection and colors as the GIF export.
+ */
+import { setPNGResolution } from '../utils/png.js';
+import { renderPosterPDF } from './posterPDF.js';
+import { isDarkColor } from '../map/tileSources.js';
+
+const MM_PER_INCH = 25.4;
+
+// Paper sizes in mm (portrait)
+export const PAPER_SIZES = {
+  A4: { label: 'A4', width: 210, height: 297 },
+  A3: { label: 'A3', width: 297, height: 420 },
+  A2: { label: 'A2', width: 420, height: 594 },
+  A1: { label: 'A1', width: 594, height: 841 },
+  A0: { label: 'A0', width: 841, height: 1189 },
+  letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+  tabloid: { label: 'Tabloid', width: 279.4, height: 431.8 }
+};
+
+// Largest canvas browsers reliably allocate - bigger posters need SVG or PDF
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 268435456;
+
+// Points closer than this (in output pixels) are dropped from vector paths
+const MIN_SEGMENT_PX = 0.5;
+
+export const POSTER_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+export class PosterExporter {
+  /**
+   * @param {GifExporter} gifExporter - Supplies the projection, colors and capture box bounds
+   */
+  constructor(gifExporter) {
+    this.gifExporter = gifExporter;
+    this.animationController = gifExporter.animationController;
+  }
+
+  /**
+   * Output size in pixels for a paper size, orientation and DPI
+   */
+  static getPixelSize(paper, orientation, dpi) {
+    const { width, height } = PosterExporter._getPaperMm(paper, orientation);
+    return {
+      width: Math.round(width / MM_PER_INCH * dpi),
+      height: Math.round(height / MM_PER_INCH * dpi)
+    };
+  }
+
+  static _getPaperMm(paper, orientation) {
+    const size = PAPER_SIZES[paper];
+    if (!size) throw new Error(`Unknown paper size: ${paper}`);
+    return orientation === 'landscape'
+      ? { width: size.height, height: size.width }
+      : { width: size.width, height: size.height };
+  }
+
+  /**
+   * Export a poster
+   * @returns {Promise<Blob>}
+   */
+  async export(options = {}) {
+    const {
+      format = 'png', // 'png' | 'svg' | 'pdf'
+      paper = 'A2',
+      orientation = 'portrait',
+      dpi = 300,
+      captureBox = null, // { left, top, width, height } in pixels
+      background = '#ffffff',
+      title = '',
+      subtitle = '',
+      includeStats = true,
+      legend = null, // [{ name, color }]
+      lineWidthMm = 0.35
+    } = options;
+
+    const scene = this._buildScene({ paper, orientation, dpi, captureBox, background, title, subtitle, includeStats, legend, lineWidthMm });
+    console.log(`Poster: ${scene.routes.length} routes at ${scene.width}×${scene.height}px`);
+
+    switch (format) {
+      case 'png':
+        return this._renderPNG(scene);
+      case 'svg':
+        return this._renderSVG(scene);
+      case 'pdf':
+        return renderPosterPDF(scene);
+      default:
+        throw new Error(`Unknown poster format: ${format}`);
+    }
+  }
+
+  /**
+   * Lay out the poster: header, map area, footer, and every route projected into pixels.
+   * All three renderers draw from this one description.
+   */
+  _buildScene({ paper, orientation, dpi, captureBox, background, title, subtitle, includeStats, legend, lineWidthMm }) {
+    const paperMm = PosterExporter._getPaperMm(paper, orientation);
+    const { width, height } = PosterExporter.getPixelSize(paper, orientation, dpi);
+
+    const margin = Math.min(width, height) * 0.06;
+    const textColor = isDarkColor(background) ? '#f0f0f0' : '#222222';
+    const mutedColor = isDarkColor(background) ? '#b0b0b0' : '#666666';
+
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    const measure = (text, size, weight) => {
+      measureCtx.font = `${weight} ${size}px ${POSTER_FONT}`;
+      return measureCtx.measureText(text).width;
+    };
+
+    const texts = [];
+    const dots = [];
+
+    // Header
+    let y = margin;
+    if (title) {
+      const size = width * 0.045;
+      y += size;
+      texts.push({ text: title, x: width / 2, y, size, weight: 700, color: textColor, align: 'center' });
+      y += size * 0.35;
+    }
+    if (subtitle) {
+      const size = width * 0.022;
+      y += size * 1.2;
+      texts.push({ text: subtitle, x: width / 2, y, size, weight: 400, color: mutedColor, align: 'center' });
+      y += size * 0.4;
+    }
+    if (title || subtitle) y += margin * 0.5;
+    const mapTop = y;
+
+    // Footer (laid out bottom-up once we know what's in the map area)
+    const footerSize = width * 0.014;
+    const mapWidth = width - margin * 2;
+
+    const legendRows = legend && legend.length > 0 ? layoutLegend(legend, mapWidth, footerSize, measure) : [];
+    const footerHeight = (includeStats ? footerSize * 2 : 0) + legendRows.length * footerSize * 1.8 +
+      (includeStats || legendRows.length ? margin * 0.5 : 0);
+
+    const mapArea = {
+      x: margin,
+      y: mapTop,
+      width: mapWidth,
+      height: height - margin - footerHeight - mapTop
+    };
+    if (mapArea.height < height * 0.2) {
+      throw new Error('Not enough room for the map - shorten the title or legend');
+    }
+
+    // Routes
+    const bounds = this._fitBounds(this._getBounds(captureBox), mapArea.width / mapArea.height);
+    const routes = [];
+    const stats = { count: 0, distance: 0, elevation: 0, first: null, last: null };
+
+    this.animationController.sortedActivities.forEach(activity => {
+      const coords = this.animationController._getActivityCoords(activity);
+      if (coords.length < 2 || !coords.some(([lat, lng]) => bounds.contains([lat, lng]))) return;
+
+      const project = (slice) => {
+        const points = [];
+        let last = null;
+        slice.forEach(([lat, lng], i) => {
+          const p = this.gifExporter._latLngToPixel(lat, lng, bounds, mapArea.width, mapArea.height);
+          const x = p.x + mapArea.x;
+          const py = p.y + mapArea.y;
+          const isEnd = i === slice.length - 1;
+          if (!last || isEnd || Math.hypot(x - last[0], py - last[1]) >= MIN_SEGMENT_PX) {
+            last = [x, py];
+            points.push(last);
+          }
+        });
+        return points;
+      };
+
+      // Routes colored per segment become one path per color run
+      const runs = this.animationController.colorStrategy?.getSegmentRuns(activity, coords.length);
+      if (runs) {
+        runs.forEach(({ color, from, to }) => {
+          routes.push({ color, points: project(coords.slice(from, to + 1)) });
+        });
+      } else {
+        routes.push({ color: this.gifExporter._getActivityColor(activity), points: project(coords) });
+      }
+
+      const date = new Date(activity.start_date);
+      stats.count++;
+      stats.distance += activity.distance || 0;
+      stats.elevation += activity.total_elevation_gain || 0;
+      if (!stats.first || date < stats.first) stats.first = date;
+      if (!stats.last || date > stats.last) stats.last = date;
+    });
+
+    // Footer contents
+    let footerY = mapArea.y + mapArea.height + margin * 0.5;
+    if (includeStats && stats.count > 0) {
+      footerY += footerSize;
+      texts.push({ text: this._formatStats(stats), x: width / 2, y: footerY, size: footerSize, weight: 400, color: mutedColor, align: 'center' });
+      footerY += footerSize;
+    }
+    legendRows.forEach(row => {
+      footerY += footerSize * 1.8;
+      let x = (width - row.width) / 2;
+      row.entries.forEach(entry => {
+        const radius = footerSize * 0.4;
+        dots.push({ x: x + radius, y: footerY - footerSize * 0.35, r: radius, color: entry.color });
+        texts.push({ text: entry.name, x: x + radius * 2 + footerSize * 0.4, y: footerY, size: footerSize, weight: 600, color: textColor, align: 'left' });
+        x += entry.width + footerSize * 1.5;
+      });
+    });
+
+    return {
+      width,
+      height,
+      widthMm: paperMm.width,
+      heightMm: paperMm.height,
+      dpi,
+      background,
+      mapArea,
+      lineWidth: lineWidthMm / MM_PER_INCH * dpi,
+      opacity: this.gifExporter._calculateHeatmapOpacity(routes.length),
+      routes,
+      texts,
+      dots
+    };
+  }
+
+  /**
+   * Capture box bounds, or the whole visible map
+   */
+  _getBounds(captureBox) {
+    return captureBox
+      ? this.gifExporter._getCaptureBoxBounds(captureBox)
+      : this.gifExporter.map.getBounds();
+  }
+
+  /**
+   * Grow bounds (in Mercator space) to match the map area's aspect ratio,
+   * so the capture area is centered and nothing gets stretched
+   */
+  _fitBounds(bounds, aspect) {
+    const toMercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360));
+    const fromMercatorY = (y) => (2 * Math.atan(Math.exp(y)) - Math.PI / 2) * 180 / Math.PI;
+
+    let west = bounds.getWest();
+    let east = bounds.getEast();
+    let north = toMercatorY(bounds.getNorth());
+    let south = toMercatorY(bounds.getSouth());
+
+    const spanX = (east - west) * Math.PI / 180;
+    const spanY = north - south;
+
+    if (spanX / spanY > aspect) {
+      const grow = (spanX / aspect - spanY) / 2;
+      north += grow;
+      south -= grow;
+    } else {
+      const grow = (spanY * aspect - spanX) / 2 * 180 / Math.PI;
+      west -= grow;
+      east += grow;
+    }
+
+    return L.latLngBounds([fromMercatorY(south), west], [fromMercatorY(north), east]);
+  }
+
+  _formatStats({ count, distance, elevation, first, last }) {
+    const parts = [
+      `${count.toLocaleString()} ${count === 1 ? 'activity' : 'activities'}`,
+      `${Math.round(distance / 1000).toLocaleString()} km`
+    ];
+    if (elevation > 0) parts.push(`${Math.round(elevation).toLocaleString()} m elevation`);
+
+    const format = (date) => this.gifExporter._formatDate(date, 'D MMM YYYY');
+    parts.push(first.toDateString() === last.toDateString() ? format(first) : `${format(first)} – ${format(last)}`);
+
+    return parts.join('  ·  ');
+  }
+
+  /**
+   * Rasterize the poster on a canvas
+   */
+  async _renderPNG(scene) {
+    const { width, height } = scene;
+    if (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE || width * height > MAX_CANVAS_AREA) {
+      throw new Error(`${width}×${height}px is too large for a PNG in the browser - lower the DPI or export SVG/PDF`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = scene.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const { x, y, width: w, height: h } = scene.mapArea;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+
+    ctx.lineWidth = scene.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.globalAlpha = scene.opacity;
+    scene.routes.forEach(({ color, points }) => {
+      ctx.beginPath();
+      ctx.moveTo(points[0][0], points[0][1]);
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i][0], points[i][1]);
+      }
+      ctx.strokeStyle = color;
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    scene.dots.forEach(({ x, y, r, color }) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.textBaseline = 'alphabetic';
+    scene.texts.forEach(({ text, x, y, size, weight, color, align }) => {
+      ctx.font = `${weight} ${size}px ${POSTER_FONT}`;
+      ctx.fillStyle = color;
+      ctx.textAlign = align;
+      ctx.fillText(text, x, y);
+    });
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+    const png = setPNGResolution(new Uint8Array(await blob.arrayBuffer()), scene.dpi);
+    return new Blob([png], { type: 'image/png' });
+  }
+
+  /**
+   * Vector poster - one path per route, sized in mm for print
+   */
+  _renderSVG(scene) {
+    const n = (v) => Math.round(v * 10) / 10;
+    const { x, y, width: w, height: h } = scene.mapArea;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.widthMm}mm" height="${scene.heightMm}mm" viewBox="0 0 ${scene.width} ${scene.height}">`,
+      `<rect width="${scene.width}" height="${scene.height}" fill="${scene.background}"/>`,
+      `<defs><clipPath id="map-area"><rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}"/></clipPath></defs>`,
+      `<g clip-path="url(#map-area)" fill="none" stroke-width="${n(scene.lineWidth)}" stroke-opacity="${scene.opacity.toFixed(3)}" stroke-linecap="round" stroke-linejoin="round">`
+    ];
+
+    scene.routes.forEach(({ color, points }) => {
+      const d = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${n(px)} ${n(py)}`).join('');
+      lines.push(`<path stroke="${color}" d="${d}"/>`);
+    });
+    lines.push('</g>');
+
+    scene.dots.forEach(({ x: cx, y: cy, r, color }) => {
+      lines.push(`<circle cx="${n(cx)}" cy="${n(cy)}" r="${n(r)}" fill="${color}"/>`);
+    });
+
+    scene.texts.forEach(({ text, x: tx, y: ty, size, weight, color, align }) => {
+      const anchor = align === 'center' ? 'middle' : 'start';
+      lines.push(`<text x="${n(tx)}" y="${n(ty)}" font-family="${escapeXML(POSTER_FONT)}" font-size="${n(size)}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${escapeXML(text)}</text>`);
+    });
+
+    lines.push('</svg>');
+    return new Blob([lines.join('\n')], { type: 'image/svg+xml' });
+  }
+}
+
+/**
+ * Split legend entries into centered rows that fit the width
+ */
+function layoutLegend(entries, maxWidth, size, measure) {
+  const gap = size * 1.5;
+  const rows = [];
+  let row = { entries: [], width: 0 };
+
+  entries.forEach(({ name, color }) => {
+    const entryWidth = size * 0.8 + size * 0.4 + measure(name, size, 600);
+    const needed = row.entries.length ? gap + entryWidth : entryWidth;
+    if (row.entries.length && row.width + needed > maxWidth) {
+      rows.push(row);
+      row = { entries: [], width: 0 };
+    }
+    row.width += row.entries.length ? gap + entryWidth : entryWidth;
+    row.entries.push({ name, color, width: entryWidth });
+  });
+  if (row.entries.length) rows.push(row);
+
+  return rows;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
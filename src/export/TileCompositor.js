@@ -0,0 +1,177 @@
+/**
+ * Tile Compositor
+ * Builds the export base map straight from map tiles at the export resolution:
+ * picks a zoom level for the output size, fetches the covering tiles (CORS),
+ * and stitches and crops them into one canvas. Tiles that fail to load leave
+ * the source's solid background showing.
+ */
+import { TILE_SIZE, getTileURL, getTileRange, toMercatorY, hasRetinaTiles } from '../map/tileSources.js';
+
+// Parallel tile requests (browsers allow ~6 per host anyway)
+const CONCURRENCY = 6;
+
+// Zoom back out rather than fetch more than this many tiles for one export
+const MAX_TILES = 300;
+
+// How many zoom levels up to look for a cached tile to stand in for a missing one
+const MAX_PARENT_LEVELS = 4;
+
+// Tiles kept in memory between compose() calls, so a moving export camera
+// only fetches the tiles it hasn't drawn yet
+const MEMORY_TILES = 500;
+
+export class TileCompositor {
+  /**
+   * @param {Object} tileSource - See map/tileSources.js
+   * @param {Object} options
+   * @param {boolean} options.retina - Use @2x tiles where the source has them
+   * @param {TileCache} options.cache - Pre-downloaded tiles, checked before the network
+   */
+  constructor(tileSource, { retina = true, cache = null } = {}) {
+    this.tileSource = tileSource;
+    this.retina = retina && hasRetinaTiles(tileSource);
+    this.cache = cache;
+    this._memory = new Map(); // "z/x/y" -> Blob, oldest first
+  }
+
+  /**
+   * Render the base map for bounds at width x height
+   * @param {L.LatLngBounds} bounds
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
+   * @param {Function} options.onProgress - Called with (loaded, total)
+   * @returns {Promise<{ canvas: HTMLCanvasElement, failed: number, total: number }>}
+   */
+  async compose(bounds, width, height, { signal = null, onProgress = null } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = this.tileSource.background || '#f5f5f5';
+    ctx.fillRect(0, 0, width, height);
+
+    // "No map" sources are just the solid color
+    if (!this.tileSource.url) {
+      return { canvas, failed: 0, total: 0 };
+    }
+
+    const zoom = this._chooseZoom(bounds, width, height);
+    const tiles = getTileRange(bounds, zoom);
+    // Stretch each axis independently, like GifExporter._latLngToPixel does for the routes
+    const { originX, originY } = tiles;
+    const scaleX = width / tiles.spanX;
+    const scaleY = height / tiles.spanY;
+    console.log(`Compositing ${tiles.list.length} tiles at zoom ${zoom}${this.retina ? ' (@2x)' : ''}`);
+
+    let loaded = 0;
+    let failed = 0;
+    const queue = [...tiles.list];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        signal?.throwIfAborted();
+        const tile = queue.shift();
+
+        // Round outward so neighbouring tiles overlap by a pixel instead of leaving seams
+        const left = Math.floor((tile.x * TILE_SIZE - originX) * scaleX);
+        const top = Math.floor((tile.y * TILE_SIZE - originY) * scaleY);
+        const right = Math.ceil(((tile.x + 1) * TILE_SIZE - originX) * scaleX);
+        const bottom = Math.ceil(((tile.y + 1) * TILE_SIZE - originY) * scaleY);
+
+        try {
+          const image = await this._fetchTile(tile.wrappedX, tile.y, zoom, signal);
+          ctx.drawImage(image, left, top, right - left, bottom - top);
+          image.close();
+        } catch (error) {
+          if (signal?.aborted) throw signal.reason;
+
+          // Offline beyond the pre-downloaded zooms: upscale part of a cached parent tile
+          const parent = await this._findCachedParent(tile.wrappedX, tile.y, zoom);
+          if (parent) {
+            const { image, sx, sy, size } = parent;
+            ctx.drawImage(image, sx, sy, size, size, left, top, right - left, bottom - top);
+            image.close();
+          } else {
+            failed++;
+            console.warn(`Tile ${zoom}/${tile.wrappedX}/${tile.y} failed:`, error.message);
+          }
+        }
+
+        loaded++;
+        if (onProgress) onProgress(loaded, tiles.list.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+
+    if (failed > 0) {
+      console.warn(`${failed}/${tiles.list.length} tiles failed - showing solid background there`);
+    }
+
+    return { canvas, failed, total: tiles.list.length };
+  }
+
+  /**
+   * Lowest zoom whose tiles have at least one pixel per output pixel
+   */
+  _chooseZoom(bounds, width, height) {
+    const pixelTileSize = this.retina ? TILE_SIZE * 2 : TILE_SIZE;
+    const fractionX = (bounds.getEast() - bounds.getWest()) / 360;
+    const fractionY = (toMercatorY(bounds.getNorth()) - toMercatorY(bounds.getSouth())) / (2 * Math.PI);
+
+    const needed = Math.max(width / (fractionX * pixelTileSize), height / (fractionY * pixelTileSize));
+    const maxZoom = this.tileSource.maxZoom ?? 18;
+    let zoom = Math.min(maxZoom, Math.max(0, Math.ceil(Math.log2(needed) - 1e-6)));
+
+    // Very wide areas at high resolution: settle for a softer map over hundreds of requests
+    while (zoom > 0 && getTileRange(bounds, zoom).list.length > MAX_TILES) {
+      zoom--;
+    }
+
+    return zoom;
+  }
+
+  async _fetchTile(x, y, zoom, signal) {
+    const key = `${zoom}/${x}/${y}`;
+    let blob = this._memory.get(key);
+
+    if (!blob) {
+      blob = this.cache ? await this.cache.match(this.tileSource, x, y, zoom, this.retina) : null;
+    }
+    if (!blob) {
+      const response = await fetch(getTileURL(this.tileSource, x, y, zoom, this.retina), { mode: 'cors', signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      blob = await response.blob();
+    }
+
+    this._memory.delete(key);
+    this._memory.set(key, blob);
+    if (this._memory.size > MEMORY_TILES) {
+      this._memory.delete(this._memory.keys().next().value);
+    }
+
+    return createImageBitmap(blob);
+  }
+
+  /**
+   * The nearest cached ancestor tile (up to MAX_PARENT_LEVELS up) and the
+   * square of it that covers tile x/y, or null
+   */
+  async _findCachedParent(x, y, zoom) {
+    if (!this.cache) return null;
+
+    for (let level = 1; level <= MAX_PARENT_LEVELS && level <= zoom; level++) {
+      const factor = Math.pow(2, level);
+      const blob = await this.cache.match(this.tileSource, Math.floor(x / factor), Math.floor(y / factor), zoom - level, this.retina);
+      if (blob) {
+        const image = await createImageBitmap(blob);
+        const size = image.width / factor;
+        return { image, sx: (x % factor) * size, sy: (y % factor) * size, size };
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Animated PNG and animated WebP encoders for exported frames
+ * Full color with alpha, and they autoplay like a GIF in chat apps and browsers.
+ * Only the region that changed since the previous frame is stored, so later
+ * frames (a few new routes and the date) cost far less than the first.
+ */
+import { zlibSync } from 'fflate';
+import { PNG_SIGNATURE, pngChunk } from '../utils/png.js';
+
+// Lossy WebP quality (0-1) passed to the browser's encoder
+const WEBP_QUALITY = 0.9;
+
+export function isAnimatedWebPSupported() {
+  // Browsers without a WebP encoder silently fall back to PNG
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+/**
+ * Bounding box of the pixels that differ between two frames, or null if identical
+ * @param {number} align - Round the origin down to a multiple of this (WebP needs even offsets)
+ */
+function changedRect(prev, curr, width, height, align = 1) {
+  const a = new Uint32Array(prev.buffer);
+  const b = new Uint32Array(curr.buffer);
+
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (a[row + x] !== b[row + x]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+
+  const x = minX - (minX % align);
+  const y = minY - (minY % align);
+  return { x, y, width: maxX - x + 1, height: maxY - y + 1 };
+}
+
+/**
+ * Walk the frames, calling onRegion({ rect, delay, pixels, canvas }) with the changed region of each.
+ * onRegion returns the encoded entry; frames identical to the previous one are folded into its delay.
+ */
+async function forEachChangedRegion(frames, width, height, align, onRegion, onProgress, signal) {
+  let prev = null;
+  let last = null;
+
+  for (let i = 0; i < frames.length; i++) {
+    signal?.throwIfAborted();
+
+    const { canvas, delay } = frames[i];
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+    const rect = prev
+      ? changedRect(prev.data, pixels.data, width, height, align)
+      : { x: 0, y: 0, width, height };
+
+    if (rect) {
+      last = await onRegion({ rect, delay, pixels, canvas });
+    } else if (last) {
+      last.delay += delay;
+    }
+
+    prev = pixels;
+    if (onProgress) onProgress((i + 1) / frames.length);
+
+    // Let the progress bar repaint between frames
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+// ============================================================================
+// APNG
+// ============================================================================
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Compress one region of RGBA pixels as PNG image data (Paeth filter on every row)
+ */
+function compressRegion(data, stride, rect) {
+  const rowBytes = rect.width * 4;
+  const raw = new Uint8Array((rowBytes + 1) * rect.height);
+
+  for (let row = 0; row < rect.height; row++) {
+    const src = ((rect.y + row) * stride + rect.x) * 4;
+    const above = src - stride * 4;
+    const out = row * (rowBytes + 1);
+    raw[out] = 4; // Paeth
+
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= 4 ? data[src + i - 4] : 0;
+      const b = row > 0 ? data[above + i] : 0;
+      const c = row > 0 && i >= 4 ? data[above + i - 4] : 0;
+      raw[out + 1 + i] = (data[src + i] - paeth(a, b, c)) & 0xFF;
+    }
+  }
+
+  return zlibSync(raw, { level: 6 });
+}
+
+/**
+ * Encode frames as an animated PNG (lossless, 8-bit RGBA)
+ * @param {Array<{ canvas: HTMLCanvasElement, delay: number }>} frames - See GifExporter.export
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Rejects with the abort reason between frames
+ * @param {Function} options.onProgress - Called with progress 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function encodeAPNG(frames, { width, height, signal = null, onProgress = null }) {
+  const encoded = [];
+
+  await forEachChangedRegion(frames, width, height, 1, ({ rect, delay, pixels }) => {
+    const entry = { rect, delay, data: compressRegion(pixels.data, width, rect) };
+    encoded.push(entry);
+    return entry;
+  }, onProgress, signal);
+
+  const parts = [new Uint8Array(PNG_SIGNATURE)];
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  parts.push(pngChunk('IHDR', ihdr));
+
+  const actl = new Uint8Array(8);
+  new DataView(actl.buffer).setUint32(0, encoded.length); // num_plays 0 = loop forever
+  parts.push(pngChunk('acTL', actl));
+
+  let sequence = 0;
+  encoded.forEach(({ rect, delay, data }, i) => {
+    const fctl = new Uint8Array(26);
+    const view = new DataView(fctl.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, rect.width);
+    view.setUint32(8, rect.height);
+    view.setUint32(12, rect.x);
+    view.setUint32(16, rect.y);
+    view.setUint16(20, Math.min(delay, 0xFFFF)); // delay_num / delay_den = seconds
+    view.setUint16(22, 1000);
+    fctl[24] = 0; // dispose: none
+    fctl[25] = 0; // blend: source (the region replaces what was there, alpha included)
+    parts.push(pngChunk('fcTL', fctl));
+
+    // The first frame doubles as the default image for viewers without APNG support
+    if (i === 0) {
+      parts.push(pngChunk('IDAT', data));
+    } else {
+      const fdat = new Uint8Array(4 + data.length);
+      new DataView(fdat.buffer).setUint32(0, sequence++);
+      fdat.set(data, 4);
+      parts.push(pngChunk('fdAT', fdat));
+    }
+  });
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+
+  return new Blob(parts, { type: 'image/apng' });
+}
+
+// ============================================================================
+// Animated WebP
+// ============================================================================
+
+function fourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function writeUint24(bytes, offset, value) {
+  bytes[offset] = value & 0xFF;
+  bytes[offset + 1] = (value >> 8) & 0xFF;
+  bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+/**
+ * Build a RIFF chunk (little-endian size, padded to an even length)
+ */
+function riffChunk(type, payload) {
+  const chunk = new Uint8Array(8 + payload.length + (payload.length & 1));
+  for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+  new DataView(chunk.buffer).setUint32(4, payload.length, true);
+  chunk.set(payload, 8);
+  return chunk;
+}
+
+/**
+ * Pull the image chunks (ALPH + VP8, or VP8L) out of a still WebP file
+ */
+function extractWebPImageChunks(bytes) {
+  if (fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') {
+    throw new Error('This browser can\'t encode WebP images');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = fourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    const end = offset + 8 + size + (size & 1);
+    if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+      chunks.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  return chunks;
+}
+
+function canvasToWebP(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('WebP encoding failed'));
+    }, 'image/webp', quality);
+  });
+}
+
+/**
+ * Encode frames as an animated WebP (lossy, with alpha)
+ * Each changed region is encoded by the browser as a still WebP and
+ * wrapped in an ANMF frame.
+ * @param {Array<{ canvas: HTMLCanvasElement, delay: number }>} frames - See GifExporter.export
+ * @param {Object} options
+ * @param {number} options.quality - Lossy quality 0-1
+ * @param {AbortSignal} options.signal - Rejects with the abort reason between frames
+ * @param {Function} options.onProgress - Called with progress 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function encodeAnimatedWebP(frames, { width, height, quality = WEBP_QUALITY, signal = null, onProgress = null }) {
+  if (!isAnimatedWebPSupported()) {
+    throw new Error('This browser can\'t encode WebP images');
+  }
+
+  const crop = document.createElement('canvas');
+  const cropCtx = crop.getContext('2d');
+  const encoded = [];
+
+  // ANMF offsets are stored halved, so regions have to start on even pixels
+  await forEachChangedRegion(frames, width, height, 2, async ({ rect, delay, canvas }) => {
+    crop.width = rect.width;
+    crop.height = rect.height; // Resizing also clears it
+    cropCtx.drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+
+    const blob = await canvasToWebP(crop, quality);
+    const entry = { rect, delay, chunks: extractWebPImageChunks(new Uint8Array(await blob.arrayBuffer())) };
+    encoded.push(entry);
+    return entry;
+  }, onProgress, signal);
+
+  const hasAlpha = encoded.some(({ chunks }) => chunks.some(c => fourCC(c, 0) !== 'VP8 '));
+
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0); // animation, alpha
+  writeUint24(vp8x, 4, width - 1);
+  writeUint24(vp8x, 7, height - 1);
+
+  const anim = new Uint8Array(6); // transparent background, loop forever
+
+  const body = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim)];
+
+  encoded.forEach(({ rect, delay, chunks }) => {
+    const imageSize = chunks.reduce((sum, c) => sum + c.length, 0);
+    const payload = new Uint8Array(16 + imageSize);
+    writeUint24(payload, 0, rect.x / 2);
+    writeUint24(payload, 3, rect.y / 2);
+    writeUint24(payload, 6, rect.width - 1);
+    writeUint24(payload, 9, rect.height - 1);
+    writeUint24(payload, 12, Math.min(delay, 0xFFFFFF));
+    payload[15] = 0x02; // don't blend (the region replaces what was there), no disposal
+
+    let offset = 16;
+    chunks.forEach(c => {
+      payload.set(c, offset);
+      offset += c.length;
+    });
+    body.push(riffChunk('ANMF', payload));
+  });
+
+  const header = new Uint8Array(12);
+  header.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+  new DataView(header.buffer).setUint32(4, 4 + body.reduce((sum, c) => sum + c.length, 0), true);
+  header.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+
+  return new Blob([header, ...body], { type: 'image/webp' });
+}
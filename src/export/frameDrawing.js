@@ -0,0 +1,201 @@
+/**
+ * Export frame rasterization
+ * Draws pre-projected routes onto any 2D context - an OffscreenCanvas in the
+ * export worker, or a DOM canvas where the worker isn't available.
+ * Has no DOM, Leaflet or activity access so the same code runs in both places.
+ *
+ * Scene shape:
+ *   width, height   - output size in pixels
+ *   routes          - [{ start, duration, times, points, color, runs, overlapScore }] sorted
+ *                     by start (ms); points is a Float32Array of x, y pairs in output pixels;
+ *                     times (optional) holds a stream time offset (s) per point;
+ *                     runs (optional) colors point ranges [{ color, from, to }] separately
+ *   heatmapOrder    - route indices in the order the heatmap frame draws them
+ *   style           - { recencyOpacityRange, overlapOpacityRange, fadeWindowMs, darkBasemap,
+ *                       headMarkers, cometTailMs } - headMarkers dots the leading point of routes
+ *                       being traced; cometTailMs > 0 draws comet trails (see cometTrail.js)
+ *
+ * Frames can be drawn through a view - { scaleX, scaleY, offsetX, offsetY }
+ * mapping scene pixels to output pixels - so a moving camera reuses the same
+ * projected routes (Web Mercator is linear in x and y, so any map view is one).
+ */
+import {
+  getRecencyScore, calculateRouteStyle, getRouteColor, adaptColorToBasemap, getDrawnIndex, HEAD_MARKER_RADIUS
+} from '../animation/routeStyle.js';
+import { getCometTrail, getBackgroundStyle, getTailStyle } from '../animation/cometTrail.js';
+
+// Export line widths are 1.5x the on-screen weight; head markers scale to match
+const EXPORT_SCALE = 1.5;
+
+// Scene pixels are output pixels
+export const IDENTITY_VIEW = { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+
+/**
+ * Output [x, y] at a fractional point index
+ */
+function pointAt(points, index, view) {
+  const whole = Math.floor(index);
+  const fraction = index - whole;
+  let x = points[whole * 2];
+  let y = points[whole * 2 + 1];
+  if (fraction > 0 && (whole + 1) * 2 < points.length) {
+    x += (points[whole * 2 + 2] - x) * fraction;
+    y += (points[whole * 2 + 3] - y) * fraction;
+  }
+  return [x * view.scaleX + view.offsetX, y * view.scaleY + view.offsetY];
+}
+
+/**
+ * Trace points[from..to] (point indices, inclusive). Fractional ends start or
+ * stop partway along a segment.
+ */
+function tracePath(ctx, points, from, to, view) {
+  const { scaleX, scaleY, offsetX, offsetY } = view;
+  const whole = Math.floor(to);
+  ctx.beginPath();
+  ctx.moveTo(...pointAt(points, from, view));
+  for (let i = Math.floor(from) + 1; i <= whole; i++) {
+    ctx.lineTo(points[i * 2] * scaleX + offsetX, points[i * 2 + 1] * scaleY + offsetY);
+  }
+  if (to > whole) {
+    ctx.lineTo(...pointAt(points, to, view));
+  }
+}
+
+/**
+ * Stroke a route in its color, or run by run when it's colored per segment
+ * @param {Function} shade - Base color -> stroke color
+ * @param {number} end - Fractional point index to stop at (routes still being traced)
+ */
+function strokeRoute(ctx, route, shade, end, view) {
+  if (!route.runs) {
+    tracePath(ctx, route.points, 0, end, view);
+    ctx.strokeStyle = shade(route.color);
+    ctx.stroke();
+    return;
+  }
+
+  route.runs.forEach(({ color, from, to }) => {
+    if (from >= end) return;
+    tracePath(ctx, route.points, from, Math.min(to, end), view);
+    ctx.strokeStyle = shade(color);
+    ctx.stroke();
+  });
+}
+
+/**
+ * Dot at a fractional point index, white-rimmed like the on-screen marker
+ */
+function drawHeadMarker(ctx, points, index, color, view) {
+  const [x, y] = pointAt(points, index, view);
+
+  ctx.globalAlpha = 1;
+  ctx.beginPath();
+  ctx.arc(x, y, HEAD_MARKER_RADIUS * EXPORT_SCALE, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = 2 * EXPORT_SCALE;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+}
+
+/**
+ * Stroke a route's comet tail bands (newest, most opaque first) in the route's color
+ */
+function strokeTail(ctx, route, bands, style, darkBasemap, view) {
+  ctx.lineWidth = style.weight * EXPORT_SCALE;
+  ctx.strokeStyle = getRouteColor(route.color, style.recencyScore, darkBasemap);
+  bands.forEach(({ from, to, opacity }) => {
+    ctx.globalAlpha = style.opacity * opacity;
+    tracePath(ctx, route.points, from, to, view);
+    ctx.stroke();
+  });
+}
+
+/**
+ * Clear the context and draw the base map (none leaves it transparent)
+ */
+export function drawBackground(ctx, scene, basemap) {
+  ctx.clearRect(0, 0, scene.width, scene.height);
+  if (basemap) {
+    ctx.drawImage(basemap, 0, 0, scene.width, scene.height);
+  }
+}
+
+/**
+ * Draw every route that started by `time`, styled by recency and overlap.
+ * Routes still in progress at `time` are drawn as far as they had got; with
+ * comet trails they become background and the newest get tails on top.
+ * @param {number} time - Frame time in ms
+ * @param {Object} view - Scene to output pixels (moving camera)
+ * @returns {number} Number of routes drawn
+ */
+export function drawFrame(ctx, scene, time, view = IDENTITY_VIEW) {
+  const { darkBasemap, headMarkers, cometTailMs } = scene.style;
+  let drawn = 0;
+  // Drawn after every route so no route covers them
+  const tails = [];
+  const heads = [];
+
+  for (const route of scene.routes) {
+    if (route.start > time) break; // Sorted by start
+    if (route.points.length < 4) continue;
+
+    const elapsed = time - route.start;
+    const recencyScore = getRecencyScore(elapsed, scene.style.fadeWindowMs);
+    let style = calculateRouteStyle(recencyScore, route.overlapScore, scene.style);
+
+    const pointCount = route.points.length / 2;
+    let end = getDrawnIndex(elapsed, route.duration, pointCount, route.times);
+    let head = headMarkers && end < pointCount - 1 ? end : null;
+
+    if (cometTailMs > 0) {
+      style = getBackgroundStyle(style);
+      const trail = getCometTrail(elapsed, route.duration, pointCount, route.times, cometTailMs);
+      head = trail ? trail.head : null;
+      if (trail) {
+        end = trail.backgroundEnd;
+        tails.push({ route, bands: trail.bands, style: getTailStyle(style) });
+      }
+    }
+
+    if (end > 0) {
+      ctx.lineWidth = style.weight * EXPORT_SCALE;
+      ctx.globalAlpha = style.opacity;
+      strokeRoute(ctx, route, color => getRouteColor(color, style.recencyScore, darkBasemap), end, view);
+    }
+    if (head !== null && head > 0) {
+      heads.push({ route, head });
+    }
+    drawn++;
+  }
+
+  tails.forEach(({ route, bands, style }) => strokeTail(ctx, route, bands, style, darkBasemap, view));
+  heads.forEach(({ route, head }) => {
+    drawHeadMarker(ctx, route.points, head, adaptColorToBasemap(route.color, darkBasemap), view);
+  });
+
+  ctx.globalAlpha = 1;
+  return drawn;
+}
+
+/**
+ * Draw all routes at one equal opacity so overlaps build up like a heatmap
+ * @returns {number} Number of routes drawn
+ */
+export function drawHeatmap(ctx, scene, opacity, view = IDENTITY_VIEW) {
+  let drawn = 0;
+
+  scene.heatmapOrder.forEach(index => {
+    const route = scene.routes[index];
+    if (route.points.length < 4) return;
+
+    ctx.lineWidth = 2.5;
+    ctx.globalAlpha = opacity;
+    strokeRoute(ctx, route, color => adaptColorToBasemap(color, scene.style.darkBasemap), route.points.length / 2 - 1, view);
+    drawn++;
+  });
+
+  ctx.globalAlpha = 1;
+  return drawn;
+}
@@ -0,0 +1,73 @@
+/**
+ * PNG frame sequence export
+ * Every frame is written losslessly as a numbered PNG into a ZIP, with a
+ * frames.json manifest so a video editor can rebuild the timing.
+ * Frames are the ones built by GifExporter.export; their times go into the manifest.
+ */
+import { zipSync, strToU8 } from 'fflate';
+import { formatClockTime } from '../animation/AnimationController.js';
+
+/**
+ * Local calendar date as YYYY-MM-DD (frame times are local end-of-day)
+ */
+function formatLocalDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function canvasToPNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('PNG encoding failed'));
+    }, 'image/png');
+  });
+}
+
+/**
+ * Encode frames as a ZIP of numbered PNGs plus frames.json
+ * @param {Array<{ canvas: HTMLCanvasElement, delay: number, time: Date, clock?: boolean, heatmap?: boolean }>} frames
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Rejects with the abort reason between frames
+ * @param {Function} options.onProgress - Called with progress 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function encodeFrameSequence(frames, { width, height, signal = null, onProgress = null }) {
+  const digits = Math.max(4, String(frames.length).length);
+  const files = {};
+  const manifest = {
+    width,
+    height,
+    frameCount: frames.length,
+    totalDuration: frames.reduce((sum, f) => sum + f.delay, 0),
+    frames: []
+  };
+
+  for (let i = 0; i < frames.length; i++) {
+    signal?.throwIfAborted();
+
+    const { canvas, delay, time, clock = false, heatmap = false } = frames[i];
+    const file = `frame-${String(i + 1).padStart(digits, '0')}.png`;
+
+    const blob = await canvasToPNG(canvas);
+    // PNGs are already compressed - store them as-is
+    files[file] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+
+    manifest.frames.push({
+      index: i,
+      file,
+      date: time && !clock ? formatLocalDate(time) : null,
+      clockTime: time && clock ? formatClockTime(time) : null,
+      delay,
+      heatmap
+    });
+
+    if (onProgress) onProgress((i + 1) / frames.length);
+  }
+
+  files['frames.json'] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
@@ -0,0 +1,48 @@
+/**
+ * Export frame worker
+ * Receives the projected scene and base map once, then renders one frame per
+ * request on an OffscreenCanvas and sends it back as an ImageBitmap.
+ * Frame requests can swap in a new base map (moving camera).
+ */
+import { drawBackground, drawFrame, drawHeatmap } from './frameDrawing.js';
+
+let scene = null;
+let basemap = null;
+let canvas = null;
+let ctx = null;
+
+self.onmessage = ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    switch (type) {
+      case 'init':
+        scene = data.scene;
+        basemap = data.basemap;
+        canvas = new OffscreenCanvas(scene.width, scene.height);
+        ctx = canvas.getContext('2d');
+        self.postMessage({ id });
+        break;
+
+      case 'frame':
+      case 'heatmap': {
+        if (data.basemap !== undefined) {
+          if (basemap) basemap.close();
+          basemap = data.basemap;
+        }
+        drawBackground(ctx, scene, basemap);
+        const drawn = type === 'frame'
+          ? drawFrame(ctx, scene, data.time, data.view)
+          : drawHeatmap(ctx, scene, data.opacity, data.view);
+        const bitmap = canvas.transferToImageBitmap();
+        self.postMessage({ id, bitmap, drawn }, [bitmap]);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown message: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Minimal PDF writer for posters
+ * One page, vector routes, text in the built-in Helvetica fonts (no embedding).
+ * Draws the same scene description as the PNG and SVG renderers, in pixel
+ * coordinates scaled to points by the page transform.
+ */
+import { zlibSync, strToU8 } from 'fflate';
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+function hexToRGB(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF].map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsiEncoding
+ */
+function pdfString(text) {
+  let out = '(';
+  for (const char of text) {
+    let code = WIN_ANSI_EXTRAS[char] ?? char.codePointAt(0);
+    if (code > 0xFF || (code >= 0x80 && code < 0xA0 && !Object.values(WIN_ANSI_EXTRAS).includes(code))) {
+      code = 0x3F; // '?'
+    }
+    const c = String.fromCharCode(code);
+    out += c === '(' || c === ')' || c === '\\' ? `\\${c}` : c;
+  }
+  return `${out})`;
+}
+
+/**
+ * Latin-1 string to bytes (PDF syntax and WinAnsi text are single-byte)
+ */
+function latin1(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Render a poster scene as a single-page PDF
+ * @returns {Blob}
+ */
+export function renderPosterPDF(scene) {
+  const n = (v) => Math.round(v * 100) / 100;
+  const pageWidth = n(scene.widthMm * POINTS_PER_MM);
+  const pageHeight = n(scene.heightMm * POINTS_PER_MM);
+  const scale = pageWidth / scene.width;
+
+  // Helvetica is the closest built-in font; measure with it so centered text lines up
+  const measureCtx = document.createElement('canvas').getContext('2d');
+  const measure = (text, size, weight) => {
+    measureCtx.font = `${weight >= 600 ? 'bold' : 'normal'} ${size}px Helvetica, Arial, sans-serif`;
+    return measureCtx.measureText(text).width;
+  };
+
+  const ops = [];
+
+  // Pixels -> points, with y pointing down like the canvas
+  ops.push(`${scale.toFixed(6)} 0 0 ${(-scale).toFixed(6)} 0 ${pageHeight} cm`);
+
+  ops.push(`${hexToRGB(scene.background)} rg 0 0 ${scene.width} ${scene.height} re f`);
+
+  const { x, y, width, height } = scene.mapArea;
+  ops.push('q');
+  ops.push(`${n(x)} ${n(y)} ${n(width)} ${n(height)} re W n`);
+  ops.push(`${n(scene.lineWidth)} w 1 J 1 j /Routes gs`);
+  scene.routes.forEach(({ color, points }) => {
+    const path = points.map(([px, py], i) => `${n(px)} ${n(py)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+    ops.push(`${hexToRGB(color)} RG ${path} S`);
+  });
+  ops.push('Q');
+
+  // Circles as four Bezier arcs
+  const k = 0.5523;
+  scene.dots.forEach(({ x: cx, y: cy, r, color }) => {
+    const c = r * k;
+    ops.push(`${hexToRGB(color)} rg ${n(cx + r)} ${n(cy)} m ` +
+      `${n(cx + r)} ${n(cy + c)} ${n(cx + c)} ${n(cy + r)} ${n(cx)} ${n(cy + r)} c ` +
+      `${n(cx - c)} ${n(cy + r)} ${n(cx - r)} ${n(cy + c)} ${n(cx - r)} ${n(cy)} c ` +
+      `${n(cx - r)} ${n(cy - c)} ${n(cx - c)} ${n(cy - r)} ${n(cx)} ${n(cy - r)} c ` +
+      `${n(cx + c)} ${n(cy - r)} ${n(cx + r)} ${n(cy - c)} ${n(cx + r)} ${n(cy)} c f`);
+  });
+
+  scene.texts.forEach(({ text, x: tx, y: ty, size, weight, color, align }) => {
+    const left = align === 'center' ? tx - measure(text, size, weight) / 2 : tx;
+    const font = weight >= 600 ? '/F2' : '/F1';
+    // Flip the text matrix back so glyphs aren't upside down
+    ops.push(`BT ${font} ${n(size)} Tf ${hexToRGB(color)} rg 1 0 0 -1 ${n(left)} ${n(ty)} Tm ${pdfString(text)} Tj ET`);
+  });
+
+  const content = zlibSync(latin1(ops.join('\n')), { level: 6 });
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents 4 0 R ` +
+      '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /ExtGState << /Routes 7 0 R >> >> >>',
+    null, // content stream
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Type /ExtGState /CA ${scene.opacity.toFixed(3)} >>`
+  ];
+
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const write = (bytes) => {
+    parts.push(bytes);
+    length += bytes.length;
+  };
+
+  write(latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'));
+
+  objects.forEach((body, i) => {
+    offsets.push(length);
+    if (body === null) {
+      write(latin1(`${i + 1} 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`));
+      write(content);
+      write(latin1('\nendstream\nendobj\n'));
+    } else {
+      write(latin1(`${i + 1} 0 obj\n${body}\nendobj\n`));
+    }
+  });
+
+  const xrefOffset = length;
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(xrefOffset),
+    '%%EOF'
+  ];
+  write(strToU8(xref.join('\n') + '\n'));
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
@@ -0,0 +1,190 @@
+/**
+ * Video encoders for exported frames
+ * WebM is recorded in real time from a canvas stream (MediaRecorder);
+ * MP4/H.264 is encoded as fast as the hardware allows with WebCodecs.
+ */
+import { Muxer, ArrayBufferTarget } from 'mp4-muxer';
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// H.264 levels by max macroblocks per frame - the lowest level that fits is the most compatible
+const AVC_LEVELS = [
+  { maxMacroblocks: 3600, codec: 'avc1.42001f' }, // Baseline 3.1 (up to 1280x720)
+  { maxMacroblocks: 8192, codec: 'avc1.640028' }, // High 4.0 (up to 2048x1024)
+  { maxMacroblocks: 22080, codec: 'avc1.640033' } // High 5.1 (up to 4096x2304)
+];
+
+// A keyframe every N frames keeps seeking responsive without bloating the file
+const KEYFRAME_INTERVAL = 30;
+
+function getWebMMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+export function isWebMSupported() {
+  return !!getWebMMimeType() && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+export function isMP4Supported() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * Record frames to WebM via MediaRecorder
+ * Runs in real time: each frame is held on screen for its delay, so the tab must stay visible.
+ * @param {Array<{ canvas: HTMLCanvasElement, delay: number }>} frames - See GifExporter.export
+ * @param {Object} options
+ * @param {number} options.bitrate - Target video bitrate in bits per second
+ * @param {AbortSignal} options.signal - Stops recording and rejects with the abort reason
+ * @param {Function} options.onProgress - Called with progress 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function encodeWebM(frames, { width, height, bitrate, signal = null, onProgress = null }) {
+  const mimeType = getWebMMimeType();
+  if (!mimeType) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frames[0].canvas, 0, 0);
+
+  // Manual frame capture (0 fps + requestFrame) gives each frame its exact delay;
+  // fall back to a fixed-rate stream where requestFrame isn't available
+  let stream = canvas.captureStream(0);
+  let track = stream.getVideoTracks()[0];
+  const manualFrames = typeof track.requestFrame === 'function';
+  if (!manualFrames) {
+    stream = canvas.captureStream(30);
+    track = stream.getVideoTracks()[0];
+  }
+
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+  });
+
+  recorder.start();
+
+  for (let i = 0; i < frames.length; i++) {
+    if (signal?.aborted) {
+      recorder.stop();
+      track.stop();
+      throw signal.reason;
+    }
+
+    ctx.drawImage(frames[i].canvas, 0, 0);
+    if (manualFrames) track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, frames[i].delay));
+    if (onProgress) onProgress((i + 1) / frames.length);
+  }
+
+  recorder.stop();
+  track.stop();
+  await stopped;
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Encode frames to MP4/H.264 with WebCodecs
+ * @param {Array<{ canvas: HTMLCanvasElement, delay: number }>} frames - See GifExporter.export
+ * @param {Object} options
+ * @param {number} options.bitrate - Target video bitrate in bits per second
+ * @param {AbortSignal} options.signal - Closes the encoder and rejects with the abort reason
+ * @param {Function} options.onProgress - Called with progress 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function encodeMP4(frames, { width, height, bitrate, signal = null, onProgress = null }) {
+  if (!isMP4Supported()) {
+    throw new Error('MP4 export needs WebCodecs, which this browser does not support');
+  }
+
+  // H.264 needs even dimensions
+  const videoWidth = width & ~1;
+  const videoHeight = height & ~1;
+
+  const config = await findAvcConfig(videoWidth, videoHeight, bitrate);
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'avc', width: videoWidth, height: videoHeight },
+    fastStart: 'in-memory'
+  });
+
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { encoderError = error; }
+  });
+  encoder.configure(config);
+
+  // Draw onto an even-sized canvas (crops the odd pixel, if any)
+  const canvas = document.createElement('canvas');
+  canvas.width = videoWidth;
+  canvas.height = videoHeight;
+  const ctx = canvas.getContext('2d');
+
+  let timestamp = 0; // microseconds
+  for (let i = 0; i < frames.length; i++) {
+    if (encoderError) throw encoderError;
+    if (signal?.aborted) {
+      encoder.close();
+      throw signal.reason;
+    }
+
+    const { canvas: source, delay } = frames[i];
+    ctx.drawImage(source, 0, 0);
+
+    const duration = delay * 1000;
+    const frame = new VideoFrame(canvas, { timestamp, duration });
+    encoder.encode(frame, { keyFrame: i % KEYFRAME_INTERVAL === 0 });
+    frame.close();
+    timestamp += duration;
+
+    // Don't queue up hundreds of full-size frames in the encoder
+    while (encoder.encodeQueueSize > 4) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    if (onProgress) onProgress((i + 1) / frames.length);
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (encoderError) throw encoderError;
+
+  muxer.finalize();
+  return new Blob([muxer.target.buffer], { type: 'video/mp4' });
+}
+
+/**
+ * Pick the lowest H.264 level that fits the resolution and that the browser can encode
+ */
+async function findAvcConfig(width, height, bitrate) {
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const candidates = AVC_LEVELS.filter(level => level.maxMacroblocks >= macroblocks);
+
+  for (const { codec } of candidates) {
+    const config = {
+      codec,
+      width,
+      height,
+      bitrate,
+      avc: { format: 'avc' }
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return config;
+  }
+
+  throw new Error(`This browser can't encode H.264 at ${width}×${height}`);
+}
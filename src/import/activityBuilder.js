@@ -0,0 +1,140 @@
+/**
+ * Build Strava-shaped activity objects from raw track points
+ * so imported files flow through the same cache and rendering paths
+ */
+import { encodePolyline } from '../utils/polyline.js';
+import { haversineDistance, simplifyPath } from '../utils/geo.js';
+
+// Sport names used by GPX/TCX/FIT writers, keyed by lowercase alphanumerics
+const TYPE_ALIASES = {
+  run: 'Run',
+  running: 'Run',
+  trailrun: 'TrailRun',
+  trailrunning: 'TrailRun',
+  treadmill: 'Run',
+  ride: 'Ride',
+  biking: 'Ride',
+  bike: 'Ride',
+  cycling: 'Ride',
+  roadbiking: 'Ride',
+  mountainbiking: 'MountainBikeRide',
+  gravelcycling: 'GravelRide',
+  ebiking: 'EBikeRide',
+  swim: 'Swim',
+  swimming: 'Swim',
+  openwaterswimming: 'Swim',
+  walk: 'Walk',
+  walking: 'Walk',
+  hike: 'Hike',
+  hiking: 'Hike',
+  alpineskiing: 'AlpineSki',
+  backcountryskiing: 'BackcountrySki',
+  crosscountryskiing: 'NordicSki',
+  rowing: 'Rowing',
+  kayaking: 'Kayaking',
+  // Strava's own GPX exports use numeric types for the two most common sports
+  1: 'Ride',
+  9: 'Run'
+};
+
+/**
+ * Map a sport/type string from a track file to a Strava activity type
+ */
+export function normalizeActivityType(rawType, fallback = 'Workout') {
+  if (!rawType) return fallback;
+  const key = String(rawType).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return TYPE_ALIASES[key] || fallback;
+}
+
+/**
+ * Format a Date the way Strava does (no milliseconds)
+ */
+export function toStravaDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Strava's start_date_local is wall-clock time tagged with Z.
+ * Track files only carry UTC, so assume the browser's time zone.
+ */
+export function toLocalStravaDate(date) {
+  return toStravaDate(new Date(date.getTime() - date.getTimezoneOffset() * 60000));
+}
+
+/**
+ * Stable 32-bit FNV-1a hash, used to derive ids for imported activities
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build an activity from track points
+ * @param {Object} params
+ * @param {Array<{lat, lng, time?, ele?}>} params.points - Track points in recorded order
+ * @param {string} params.name - Activity name
+ * @param {string} params.type - Strava activity type
+ * @param {string} params.source - File format the activity came from; also prefixes the generated id
+ * @param {Date} [params.startDate] - Overrides the first point's timestamp
+ * @param {Date} [params.fallbackDate] - Start date for tracks without timestamps (e.g. planned routes)
+ * @param {number} [params.distance] - Overrides the distance computed from points (meters)
+ * @param {number} [params.elapsedTime] - Overrides the duration computed from timestamps (seconds)
+ */
+export function buildActivity({ points, name, type, source, startDate = null, fallbackDate = null, distance = null, elapsedTime = null }) {
+  const coords = points
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng))
+    .map(p => [p.lat, p.lng]);
+
+  if (coords.length < 2) {
+    throw new Error('Track has fewer than two points');
+  }
+
+  let computedDistance = 0;
+  for (let i = 1; i < coords.length; i++) {
+    computedDistance += haversineDistance(coords[i - 1], coords[i]);
+  }
+
+  let elevationGain = 0;
+  let lastEle = null;
+  points.forEach(p => {
+    if (!Number.isFinite(p.ele)) return;
+    if (lastEle !== null && p.ele > lastEle) elevationGain += p.ele - lastEle;
+    lastEle = p.ele;
+  });
+
+  const times = points.map(p => p.time).filter(t => t instanceof Date && !isNaN(t));
+  const start = startDate || times[0] || fallbackDate;
+  if (!start) {
+    throw new Error('Track has no timestamps');
+  }
+
+  const computedElapsed = times.length >= 2
+    ? Math.round((times[times.length - 1] - times[0]) / 1000)
+    : 0;
+
+  const summaryPolyline = encodePolyline(simplifyPath(coords));
+
+  return {
+    id: `${source}-${hashString(`${start.getTime()}|${summaryPolyline}`)}`,
+    name: name || `${type} ${start.toLocaleDateString()}`,
+    type,
+    sport_type: type,
+    start_date: toStravaDate(start),
+    start_date_local: toLocalStravaDate(start),
+    distance: distance ?? Math.round(computedDistance * 10) / 10,
+    elapsed_time: elapsedTime ?? computedElapsed,
+    moving_time: elapsedTime ?? computedElapsed,
+    total_elevation_gain: Math.round(elevationGain * 10) / 10,
+    start_latlng: coords[0],
+    end_latlng: coords[coords.length - 1],
+    map: {
+      summary_polyline: summaryPolyline
+    },
+    source
+  };
+}
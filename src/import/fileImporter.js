@@ -0,0 +1,109 @@
+/**
+ * Single entry point for importing activity files
+ * Detects the format from the file contents rather than its extension
+ */
+import { gunzipSync, strFromU8 } from 'fflate';
+import { parseGPX } from './gpx.js';
+import { parseTCX } from './tcx.js';
+import { parseFIT } from './fit.js';
+import { parseGeoJSON } from './geojson.js';
+import { parseStravaArchive } from './stravaArchive.js';
+
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'GeometryCollection', 'LineString', 'MultiLineString'];
+
+/**
+ * Sniff the format of a file from its first bytes
+ * @returns {'zip'|'gzip'|'fit'|'gpx'|'tcx'|'json'|null}
+ */
+export function detectFormat(bytes) {
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B) return 'zip';
+  if (bytes[0] === 0x1F && bytes[1] === 0x8B) return 'gzip';
+  if (strFromU8(bytes.subarray(8, 12)) === '.FIT') return 'fit';
+
+  // Skip BOM and whitespace before looking at text content
+  const head = strFromU8(bytes.subarray(0, 2048)).replace(/^\uFEFF/, '').trimStart();
+
+  if (head.startsWith('<')) {
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+    return null;
+  }
+
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+
+  return null;
+}
+
+/**
+ * Why an entry of a saved activity list can't be imported, or null if it looks like an activity
+ */
+function validateSavedActivity(entry) {
+  if (!entry || typeof entry !== 'object') return 'not an activity';
+  if (typeof entry.id !== 'number' && typeof entry.id !== 'string') return 'missing id';
+  if (!entry.start_date || isNaN(new Date(entry.start_date).getTime())) return 'missing or invalid start_date';
+  if (typeof entry.map?.summary_polyline !== 'string') return 'missing map polyline';
+  return null;
+}
+
+/**
+ * Import one file's contents, whatever its format
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} fileName - Used for activity names and error reports
+ * @param {Object} options
+ * @param {Date} options.fallbackDate - Start date for GeoJSON routes without timestamps
+ * @param {Function} options.onProgress - Called with activities imported so far (archives only)
+ * @returns {{ activities: Array, errors: Array<{ file: string, error: string }> }}
+ */
+export async function importActivityFile(bytes, fileName, { fallbackDate = new Date(), onProgress = null } = {}) {
+  const format = detectFormat(bytes);
+
+  switch (format) {
+    case 'zip':
+      return parseStravaArchive(bytes, onProgress);
+
+    case 'gzip':
+      return importActivityFile(gunzipSync(bytes), fileName.replace(/\.gz$/i, ''), { fallbackDate, onProgress });
+
+    case 'fit':
+      return { activities: parseFIT(bytes, fileName), errors: [] };
+
+    case 'gpx':
+      return { activities: parseGPX(strFromU8(bytes), fileName), errors: [] };
+
+    case 'tcx':
+      return { activities: parseTCX(strFromU8(bytes), fileName), errors: [] };
+
+    case 'json': {
+      const json = JSON.parse(strFromU8(bytes));
+
+      // Activities previously saved with downloadActivitiesJSON
+      if (Array.isArray(json)) {
+        const activities = [];
+        const errors = [];
+        json.forEach((entry, i) => {
+          const problem = validateSavedActivity(entry);
+          if (problem) {
+            errors.push({ file: `${fileName} (entry ${i + 1})`, error: problem });
+          } else {
+            activities.push(entry);
+          }
+        });
+
+        // Some other JSON list - one error for the file rather than one per entry
+        if (activities.length === 0 && json.length > 0) {
+          throw new Error('JSON list contains no activities');
+        }
+        return { activities, errors };
+      }
+
+      if (GEOJSON_TYPES.includes(json.type)) {
+        return parseGeoJSON(json, fileName, fallbackDate);
+      }
+
+      throw new Error('JSON is neither an activity list nor GeoJSON');
+    }
+
+    default:
+      throw new Error('Unrecognized file format');
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Garmin FIT binary decoder
+ * Decodes record (per-sample) and session (summary) messages only
+ * Protocol reference: https://developer.garmin.com/fit/protocol/
+ */
+import { buildActivity } from './activityBuilder.js';
+
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+const FIELD_TIMESTAMP = 253;
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// FIT sport enum -> Strava activity type (matches DEFAULT_ACTIVITY_COLORS where possible)
+const FIT_SPORTS = {
+  0: 'Workout',
+  1: 'Run',
+  2: 'Ride',
+  4: 'Workout',
+  5: 'Swim',
+  10: 'Workout',
+  11: 'Walk',
+  12: 'NordicSki',
+  13: 'AlpineSki',
+  15: 'Rowing',
+  17: 'Hike',
+  21: 'EBikeRide'
+};
+
+// Base type number (low 5 bits) -> [size in bytes, DataView reader, invalid value]
+const BASE_TYPES = {
+  0: [1, 'getUint8', 0xFF],
+  1: [1, 'getInt8', 0x7F],
+  2: [1, 'getUint8', 0xFF],
+  3: [2, 'getInt16', 0x7FFF],
+  4: [2, 'getUint16', 0xFFFF],
+  5: [4, 'getInt32', 0x7FFFFFFF],
+  6: [4, 'getUint32', 0xFFFFFFFF],
+  8: [4, 'getFloat32', null],
+  9: [8, 'getFloat64', null],
+  10: [1, 'getUint8', 0x00],
+  11: [2, 'getUint16', 0x0000],
+  12: [4, 'getUint32', 0x00000000]
+};
+
+/**
+ * Decode a FIT file into raw record and session messages
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ records: Array<Object>, sessions: Array<Object> }} Field values keyed by field number
+ */
+export function decodeFIT(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 12) {
+    throw new Error('File too short');
+  }
+
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(...bytes.subarray(8, 12));
+  if (signature !== '.FIT') {
+    throw new Error('Not a FIT file');
+  }
+
+  const end = Math.min(headerSize + dataSize, bytes.length);
+  const definitions = {};
+  const records = [];
+  const sessions = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+
+    let localType;
+    let compressedTimestamp = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      if (lastTimestamp !== null) {
+        compressedTimestamp = lastTimestamp + ((timeOffset - (lastTimestamp & 0x1F)) & 0x1F);
+        lastTimestamp = compressedTimestamp;
+      }
+    } else {
+      localType = header & 0x0F;
+
+      if (header & 0x40) {
+        // Definition message
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalNum = view.getUint16(offset + 2, littleEndian);
+        const numFields = view.getUint8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < numFields; i++) {
+          fields.push({
+            num: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2) & 0x1F
+          });
+          offset += 3;
+        }
+
+        let devDataSize = 0;
+        if (header & 0x20) {
+          const numDevFields = view.getUint8(offset++);
+          for (let i = 0; i < numDevFields; i++) {
+            devDataSize += view.getUint8(offset + 1);
+            offset += 3;
+          }
+        }
+
+        definitions[localType] = { globalNum, littleEndian, fields, devDataSize };
+        continue;
+      }
+    }
+
+    // Data message
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error(`Data message for undefined local type ${localType}`);
+    }
+
+    const wanted = definition.globalNum === MESG_RECORD || definition.globalNum === MESG_SESSION;
+    const message = {};
+
+    for (const field of definition.fields) {
+      if (wanted || field.num === FIELD_TIMESTAMP) {
+        const value = readField(view, offset, field, definition.littleEndian);
+        if (value !== null) message[field.num] = value;
+      }
+      offset += field.size;
+    }
+    offset += definition.devDataSize;
+
+    if (message[FIELD_TIMESTAMP] !== undefined) {
+      lastTimestamp = message[FIELD_TIMESTAMP];
+    } else if (compressedTimestamp !== null) {
+      message[FIELD_TIMESTAMP] = compressedTimestamp;
+    }
+
+    if (definition.globalNum === MESG_RECORD) records.push(message);
+    if (definition.globalNum === MESG_SESSION) sessions.push(message);
+  }
+
+  return { records, sessions };
+}
+
+function readField(view, offset, field, littleEndian) {
+  const baseType = BASE_TYPES[field.baseType];
+  // Strings, byte arrays and multi-value fields aren't needed here
+  if (!baseType || baseType[0] !== field.size) return null;
+
+  const [, reader, invalid] = baseType;
+  const value = view[reader](offset, littleEndian);
+  return value === invalid ? null : value;
+}
+
+function fitTimeToDate(seconds) {
+  return new Date((seconds + FIT_EPOCH_OFFSET) * 1000);
+}
+
+function average(values) {
+  const valid = values.filter(v => v !== undefined);
+  if (valid.length === 0) return undefined;
+  return Math.round(valid.reduce((sum, v) => sum + v, 0) / valid.length * 10) / 10;
+}
+
+/**
+ * Parse a FIT file into activities
+ * @param {ArrayBuffer|Uint8Array} buffer - FIT file contents
+ * @param {string} fileName - Used as the activity name (FIT files have no name)
+ * @param {Date} fallbackDate - Start date for files without timestamps
+ */
+export function parseFIT(buffer, fileName = '', fallbackDate = null) {
+  const { records, sessions } = decodeFIT(buffer);
+  const session = sessions[0] || {};
+
+  // Record fields: 0 lat, 1 long (semicircles), 2 altitude, 3 heart rate, 4 cadence, 7 power,
+  // 78 enhanced altitude. Altitudes are scale 5, offset 500.
+  const samples = records.map(r => {
+    const altitude = r[78] ?? r[2];
+    return {
+      lat: r[0] !== undefined ? r[0] * SEMICIRCLES_TO_DEGREES : NaN,
+      lng: r[1] !== undefined ? r[1] * SEMICIRCLES_TO_DEGREES : NaN,
+      time: r[FIELD_TIMESTAMP] !== undefined ? fitTimeToDate(r[FIELD_TIMESTAMP]) : null,
+      ele: altitude !== undefined ? altitude / 5 - 500 : null,
+      heartRate: r[3],
+      cadence: r[4],
+      power: r[7]
+    };
+  });
+
+  // Session fields: 2 start time, 5 sport, 7 total elapsed time (ms), 9 total distance (cm)
+  const type = FIT_SPORTS[session[5]] || 'Workout';
+  const activity = buildActivity({
+    points: samples,
+    name: fileName.replace(/\.[^.]+$/, '') || `${type} activity`,
+    type,
+    source: 'fit',
+    startDate: session[2] !== undefined ? fitTimeToDate(session[2]) : null,
+    fallbackDate,
+    distance: session[9] !== undefined ? session[9] / 100 : null,
+    elapsedTime: session[7] !== undefined ? Math.round(session[7] / 1000) : null
+  });
+
+  const heartRates = samples.map(s => s.heartRate);
+  const maxHeartRate = heartRates.reduce((max, v) => (v !== undefined && v > max ? v : max), -1);
+
+  return [{
+    ...activity,
+    average_heartrate: average(heartRates),
+    max_heartrate: maxHeartRate >= 0 ? maxHeartRate : undefined,
+    average_cadence: average(samples.map(s => s.cadence)),
+    average_watts: average(samples.map(s => s.power))
+  }];
+}
@@ -0,0 +1,79 @@
+/**
+ * GeoJSON parser for LineString/MultiLineString routes and tracks
+ * Each line feature becomes one activity
+ */
+import { buildActivity, normalizeActivityType } from './activityBuilder.js';
+
+/**
+ * Flatten any GeoJSON object into [geometry, properties] pairs
+ */
+function collectLines(geojson, properties = {}) {
+  switch (geojson?.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(f => collectLines(f));
+    case 'Feature':
+      return collectLines(geojson.geometry, geojson.properties || {});
+    case 'GeometryCollection':
+      return (geojson.geometries || []).flatMap(g => collectLines(g, properties));
+    case 'LineString':
+      return [[[geojson.coordinates], properties]];
+    case 'MultiLineString':
+      return [[geojson.coordinates, properties]];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse GeoJSON into activities
+ * Route planners export no timestamps, so `fallbackDate` (usually the file's
+ * modification time) is used as the start date for those
+ * @param {Object} geojson - Parsed GeoJSON object
+ * @param {string} fileName - Used as the activity name when the feature has none
+ * @param {Date} fallbackDate - Start date for lines without timestamps
+ * @returns {{ activities: Array, errors: Array<{ file: string, error: string }> }} One error per
+ *   feature that failed to parse - throws instead when none parsed
+ */
+export function parseGeoJSON(geojson, fileName = '', fallbackDate = new Date()) {
+  const lines = collectLines(geojson);
+  if (lines.length === 0) {
+    throw new Error('No LineString features found');
+  }
+
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  const activities = [];
+  const errors = [];
+
+  lines.forEach(([segments, props], index) => {
+    // togeojson and similar converters store per-point times in coordTimes/coordinateProperties.times
+    const times = (props.coordTimes || props.coordinateProperties?.times || []).flat();
+    const points = segments.flat().map(([lng, lat, ele], i) => ({
+      lat,
+      lng,
+      ele: ele ?? null,
+      time: times[i] ? new Date(times[i]) : null
+    }));
+
+    // A declared start that doesn't parse is ignored rather than failing the feature
+    const declaredStart = new Date(props.start_date || props.time || props.startTime || NaN);
+    const hasTimes = points.some(p => p.time && !isNaN(p.time));
+
+    try {
+      activities.push(buildActivity({
+        points,
+        name: props.name || props.title || (lines.length > 1 ? `${baseName} (${index + 1})` : baseName),
+        type: normalizeActivityType(props.type || props.sport || props.activityType),
+        source: 'geojson',
+        startDate: !isNaN(declaredStart) ? declaredStart : (hasTimes ? null : fallbackDate)
+      }));
+    } catch (error) {
+      errors.push({ file: `${fileName} (feature ${index + 1})`, error: error.message });
+    }
+  });
+
+  if (activities.length === 0) {
+    throw new Error(errors[0].error);
+  }
+  return { activities, errors };
+}
@@ -0,0 +1,63 @@
+/**
+ * GPX track parser
+ * Each <trk> becomes one activity; its segments are joined in order
+ */
+import { buildActivity, normalizeActivityType } from './activityBuilder.js';
+
+function childText(el, localName) {
+  const child = Array.from(el.children).find(c => c.localName === localName);
+  return child ? child.textContent.trim() : null;
+}
+
+function parsePoint(el) {
+  const time = childText(el, 'time');
+  const ele = childText(el, 'ele');
+  return {
+    lat: parseFloat(el.getAttribute('lat')),
+    lng: parseFloat(el.getAttribute('lon')),
+    time: time ? new Date(time) : null,
+    ele: ele !== null ? parseFloat(ele) : null
+  };
+}
+
+/**
+ * Parse GPX text into activities
+ * @param {string} text - GPX document
+ * @param {string} fileName - Used as the activity name when the track has none
+ * @param {Date} fallbackDate - Start date for tracks without timestamps
+ */
+export function parseGPX(text, fileName = '', fallbackDate = null) {
+  const doc = new DOMParser().parseFromString(text.trim(), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML');
+  }
+
+  const root = doc.documentElement;
+  if (root.localName !== 'gpx') {
+    throw new Error('Not a GPX file');
+  }
+
+  const metadata = Array.from(root.children).find(c => c.localName === 'metadata');
+  const metadataTime = metadata ? childText(metadata, 'time') : null;
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  const tracks = Array.from(root.getElementsByTagNameNS('*', 'trk'));
+  if (tracks.length === 0) {
+    throw new Error('No tracks found');
+  }
+
+  return tracks.map((trk, index) => {
+    const points = Array.from(trk.getElementsByTagNameNS('*', 'trkpt')).map(parsePoint);
+    const trackName = childText(trk, 'name');
+    const name = trackName || (tracks.length > 1 ? `${baseName} (${index + 1})` : baseName);
+
+    return buildActivity({
+      points,
+      name,
+      type: normalizeActivityType(childText(trk, 'type')),
+      source: 'gpx',
+      startDate: points[0]?.time ? null : (metadataTime ? new Date(metadataTime) : null),
+      fallbackDate
+    });
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Strava "Download your data" archive importer
+ * Joins activities.csv metadata with the per-activity GPX/TCX/FIT track files
+ */
+import { unzipSync, gunzipSync, strFromU8 } from 'fflate';
+import { toStravaDate, toLocalStravaDate } from './activityBuilder.js';
+import { parseCSV } from './csv.js';
+import { parseGPX } from './gpx.js';
+import { parseTCX } from './tcx.js';
+import { parseFIT } from './fit.js';
+
+// Track parsers keyed by file extension (after stripping .gz)
+// fallbackDate dates tracks without timestamps (uploaded planned routes) by the CSV
+const TRACK_PARSERS = {
+  gpx: (bytes, name, fallbackDate) => parseGPX(strFromU8(bytes), name, fallbackDate),
+  tcx: (bytes, name, fallbackDate) => parseTCX(strFromU8(bytes), name, fallbackDate),
+  fit: (bytes, name, fallbackDate) => parseFIT(bytes, name, fallbackDate)
+};
+
+// `source` of archive imports - they are Strava activities, just read from files
+export const ARCHIVE_SOURCE = 'strava-archive';
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Parse the CSV's "Activity Date" column, e.g. "Feb 3, 2021, 6:40:15 AM" (always UTC)
+ */
+function parseArchiveDate(str) {
+  const match = /^(\w{3}) (\d{1,2}), (\d{4}),? (\d{1,2}):(\d{2}):(\d{2}) ?(AM|PM)$/.exec(str.trim());
+  if (!match) {
+    const fallback = new Date(str);
+    return isNaN(fallback) ? null : fallback;
+  }
+
+  const [, mon, day, year, hour, minute, second, meridiem] = match;
+  let h = parseInt(hour) % 12;
+  if (meridiem === 'PM') h += 12;
+  return new Date(Date.UTC(+year, MONTHS[mon], +day, h, +minute, +second));
+}
+
+/**
+ * Let the browser repaint progress between chunks of synchronous parsing
+ */
+function yieldToUI() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Import activities from a Strava bulk export
+ * @param {ArrayBuffer|Uint8Array} buffer - The ZIP file contents
+ * @param {Function} onProgress - Called with the number of activities imported so far
+ * @returns {{ activities: Array, errors: Array<{ file: string, error: string }> }}
+ */
+export async function parseStravaArchive(buffer, onProgress = null) {
+  // Only inflate what we need - archives also contain media and can be huge
+  const entries = unzipSync(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer), {
+    filter: (file) => /(^|\/)activities\.csv$/.test(file.name) || /(^|\/)activities\/[^/]+$/.test(file.name)
+  });
+
+  const csvName = Object.keys(entries).find(name => /(^|\/)activities\.csv$/.test(name));
+  if (!csvName) {
+    throw new Error('activities.csv not found - is this a Strava data export?');
+  }
+
+  // Archives re-zipped after extraction have everything under one extra folder
+  const prefix = csvName.slice(0, -'activities.csv'.length);
+
+  const [header, ...rows] = parseCSV(strFromU8(entries[csvName]));
+  const column = (name) => header.indexOf(name);
+  const idCol = column('Activity ID');
+  const dateCol = column('Activity Date');
+  const nameCol = column('Activity Name');
+  const typeCol = column('Activity Type');
+  const elapsedCol = column('Elapsed Time');
+  const fileCol = column('Filename');
+
+  if (idCol === -1 || fileCol === -1) {
+    throw new Error('activities.csv is missing the Activity ID or Filename column');
+  }
+
+  const activities = [];
+  const errors = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const fileName = row[fileCol];
+
+    // Manual and indoor activities have no track file
+    if (!row[idCol] || !fileName) continue;
+
+    try {
+      let bytes = entries[prefix + fileName];
+      if (!bytes) {
+        throw new Error('Track file missing from archive');
+      }
+
+      let trackName = fileName;
+      if (trackName.endsWith('.gz')) {
+        bytes = gunzipSync(bytes);
+        trackName = trackName.slice(0, -3);
+      }
+
+      const extension = trackName.split('.').pop().toLowerCase();
+      const parser = TRACK_PARSERS[extension];
+      if (!parser) {
+        throw new Error(`.${extension} files are not supported`);
+      }
+
+      const startDate = dateCol !== -1 ? parseArchiveDate(row[dateCol]) : null;
+      const [track] = parser(bytes, trackName, startDate);
+      const elapsed = elapsedCol !== -1 ? parseFloat(row[elapsedCol]) : NaN;
+      // "E-Mountain Bike Ride" -> "EMountainBikeRide", the API's type name
+      const type = typeCol !== -1 && row[typeCol] ? row[typeCol].replace(/[^A-Za-z0-9]/g, '') : track.type;
+
+      // Use Strava's own id so the archive dedupes against API-fetched activities
+      activities.push({
+        ...track,
+        id: Number(row[idCol]),
+        source: ARCHIVE_SOURCE,
+        name: (nameCol !== -1 && row[nameCol]) || track.name,
+        type,
+        sport_type: type,
+        // Both start dates follow the CSV, so time-of-day replay agrees with the calendar
+        start_date: startDate ? toStravaDate(startDate) : track.start_date,
+        start_date_local: startDate ? toLocalStravaDate(startDate) : track.start_date_local,
+        elapsed_time: Number.isFinite(elapsed) ? Math.round(elapsed) : track.elapsed_time
+      });
+    } catch (error) {
+      errors.push({ file: fileName, error: error.message });
+    }
+
+    if (i % 20 === 0) {
+      if (onProgress) onProgress(activities.length);
+      await yieldToUI();
+    }
+  }
+
+  if (onProgress) onProgress(activities.length);
+
+  return { activities, errors };
+}
@@ -0,0 +1,72 @@
+/**
+ * TCX (Garmin Training Center) parser
+ * Each <Activity> or <Course> becomes one activity
+ */
+import { buildActivity, normalizeActivityType } from './activityBuilder.js';
+
+function childText(el, localName) {
+  const child = Array.from(el.children).find(c => c.localName === localName);
+  return child ? child.textContent.trim() : null;
+}
+
+function parseTrackpoint(el) {
+  const position = Array.from(el.children).find(c => c.localName === 'Position');
+  const time = childText(el, 'Time');
+  const ele = childText(el, 'AltitudeMeters');
+  return {
+    lat: position ? parseFloat(childText(position, 'LatitudeDegrees')) : NaN,
+    lng: position ? parseFloat(childText(position, 'LongitudeDegrees')) : NaN,
+    time: time ? new Date(time) : null,
+    ele: ele !== null ? parseFloat(ele) : null
+  };
+}
+
+/**
+ * Parse TCX text into activities
+ * @param {string} text - TCX document
+ * @param {string} fileName - Used as the activity name (TCX activities have no name)
+ * @param {Date} fallbackDate - Start date for courses without timestamps
+ */
+export function parseTCX(text, fileName = '', fallbackDate = null) {
+  const doc = new DOMParser().parseFromString(text.trim(), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML');
+  }
+
+  const root = doc.documentElement;
+  if (root.localName !== 'TrainingCenterDatabase') {
+    throw new Error('Not a TCX file');
+  }
+
+  const entries = [
+    ...root.getElementsByTagNameNS('*', 'Activity'),
+    ...root.getElementsByTagNameNS('*', 'Course')
+  ];
+  if (entries.length === 0) {
+    throw new Error('No activities found');
+  }
+
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  return entries.map((entry, index) => {
+    const points = Array.from(entry.getElementsByTagNameNS('*', 'Trackpoint')).map(parseTrackpoint);
+
+    // Laps carry the device's own distance/duration totals, which beat GPS-derived ones
+    const laps = Array.from(entry.getElementsByTagNameNS('*', 'Lap'));
+    const lapDistance = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'DistanceMeters')) || 0), 0);
+    const lapSeconds = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'TotalTimeSeconds')) || 0), 0);
+
+    const name = childText(entry, 'Name') ||
+      (entries.length > 1 ? `${baseName} (${index + 1})` : baseName);
+
+    return buildActivity({
+      points,
+      name,
+      type: normalizeActivityType(entry.getAttribute('Sport')),
+      source: 'tcx',
+      fallbackDate,
+      distance: lapDistance > 0 ? lapDistance : null,
+      elapsedTime: lapSeconds > 0 ? Math.round(lapSeconds) : null
+    });
+  });
+}
@@ -1,27 +1,59 @@
 import L from 'leaflet';
 import { decodePolyline } from './utils/polyline.js';
-import { AnimationController } from './animation/AnimationController.js';
-import { GifExporter } from './export/GifExporter.js';
+import { AnimationController, REPLAY_MODES, formatClockTime } from './animation/AnimationController.js';
+import { GifExporter, EXPORT_FORMATS } from './export/GifExporter.js';
+import { isWebMSupported, isMP4Supported } from './export/videoEncoder.js';
+import { isAnimatedWebPSupported } from './export/animatedImage.js';
+import { PosterExporter, PAPER_SIZES } from './export/PosterExporter.js';
 import { StravaAuth } from './auth/StravaAuth.js';
+import { ProfileManager, DEFAULT_PROFILE_ID } from './auth/ProfileManager.js';
 import { StravaAPI } from './api/StravaAPI.js';
-import { OnboardingUI } from './ui/OnboardingUI.js';
-
-// Initialize auth and API
-const auth = new StravaAuth();
+import { AthleteDatasets } from './api/AthleteDatasets.js';
+import { OnboardingUI, IMPORT_ACCEPT, importAndMergeFiles } from './ui/OnboardingUI.js';
+import { DEFAULT_TILE_SOURCE, BASEMAP_IDS, createTileLayer, getBasemapSource } from './map/tileSources.js';
+import { adaptColorToBasemap } from './animation/routeStyle.js';
+import { ColorStrategy, COLOR_MODES } from './animation/colorStrategy.js';
+import { CameraTrack, EASINGS } from './animation/cameraTrack.js';
+import { TileCache } from './map/TileCache.js';
+import { ARCHIVE_SOURCE } from './import/stravaArchive.js';
+
+// Initialize auth and API for the active profile
+const profiles = new ProfileManager();
+const auth = new StravaAuth(profiles.getActiveId());
 const api = new StravaAPI(auth);
+const athletes = new AthleteDatasets(profiles);
 
 // Initialize map
 const map = L.map('map').setView([0, 0], 2);
 
-// Add CartoDB Positron tiles (gray/minimal style perfect for activity visualization)
-L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
-  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-  subdomains: 'abcd',
-  maxZoom: 20
-}).addTo(map);
+// Base map tiles - CartoDB Positron by default (see the Base map section).
+// Exports fetch their base map from the same source and offline cache.
+const BASEMAP_KEY = 'basemap';
+const tileCache = new TileCache();
+let tileSource = DEFAULT_TILE_SOURCE;
+let tileLayer = null;
+let tileCacheAbortController = null;
+
+function setTileSource(source) {
+  tileSource = source;
+  if (tileLayer) {
+    map.removeLayer(tileLayer);
+  }
+  tileLayer = createTileLayer(source, TileCache.isSupported() ? tileCache : null);
+  if (tileLayer) {
+    tileLayer.addTo(map);
+  }
+  // Visible where there are no tiles (or transparent ones, like labels only)
+  map.getContainer().style.background = source.background;
+  if (gifExporter) {
+    gifExporter.tileSource = source;
+  }
+}
 
 // Update stats when map bounds change (pan/zoom)
 map.on('moveend', () => {
+  // Camera keyframes move the map every frame during playback
+  if (animationController?.isMovingCamera) return;
   if (activities.length > 0) {
     updateStats();
     scheduleURLUpdate(); // Update URL with new map position
@@ -29,10 +61,19 @@ map.on('moveend', () => {
 });
 
 // State
-let activities = [];
+let activities = []; // Active profile's activities plus any combined athletes
+let ownActivities = [];
 let polylines = [];
+let filterResult = []; // Activities matching the current filters (see refreshFilteredActivities)
+let filterQueryId = 0;
 let animationController = null;
 let gifExporter = null;
+let posterExporter = null;
+let reinitializeAfterExport = false; // Settings changed while an export was running (see initializeAnimation)
+let detailedCoords = new Map(); // activityId -> full-resolution [lat, lng] stream
+let detailedStreams = new Map(); // activityId -> { latlng, time, distance, heartrate, altitude } (segment colors)
+let streamsAbortController = null;
+const cameraTrack = new CameraTrack(); // Keyframed pan/zoom shared with every animation controller
 let captureBox = {
   ratio: 'max',
   bounds: null
@@ -76,6 +117,46 @@ function getActivityColors() {
   return customActivityColors;
 }
 
+// Scale legend for exports when routes are colored by data (and the option is on)
+function getExportColorLegend() {
+  const legend = animationController?.colorStrategy?.getLegend();
+  if (!legend || !includeColorLegend.checked) return null;
+  return { ...legend, corner: getColorLegendCorner() };
+}
+
+// Route colors for the "Color routes by" mode, shared by the map, exports and posters
+function createColorStrategy(filtered = getFilteredActivities()) {
+  return new ColorStrategy(colorBySelect.value, {
+    activities: filtered,
+    typeColors: customActivityColors,
+    athleteColors: athletes.getColors(),
+    streams: detailedStreams
+  });
+}
+
+// Athlete legend entries for the overlay (only meaningful on a combined map)
+function getAthleteLegend() {
+  return athletes.getAll().map(a => ({ name: a.name, color: a.color }));
+}
+
+// Legend entries for posters: steps along the scale for data colors, athletes on a
+// combined map, otherwise the activity types shown
+function getPosterLegend() {
+  const strategy = animationController?.colorStrategy;
+  if (strategy?.isScale) {
+    return strategy.getLegendEntries();
+  }
+  if (colorBySelect.value === 'athlete' && athletes.hasExtras()) {
+    return getAthleteLegend();
+  }
+  const types = [...new Set(getFilteredActivities().map(a => a.type))].sort();
+  return types.map(type => ({ name: type, color: customActivityColors[type] || customActivityColors.default }));
+}
+
+function isLegendOverlay() {
+  return athletes.hasExtras() && overlayContentSelect.value === 'legend';
+}
+
 // Get the dominant activity color (from the activity type with the most activities)
 function getDominantActivityColor() {
   const filtered = getFilteredActivities();
@@ -112,6 +193,40 @@ function getSelectedDateCorner() {
   return selectedOption ? selectedOption.getAttribute('data-corner') : 'bottom-right';
 }
 
+// The color scale legend sits beside the date overlay (same edge, other side)
+function getColorLegendCorner() {
+  if (!includeDateOverlay.checked) return 'bottom-left';
+  const [vertical, horizontal] = getSelectedDateCorner().split('-');
+  return `${vertical}-${horizontal === 'left' ? 'right' : 'left'}`;
+}
+
+// Show the type color pickers or the data scale for the current color mode
+function updateColorScaleUI(strategy, filtered) {
+  colorSchemesList.style.display = colorBySelect.value === 'type' ? '' : 'none';
+  colorScalePreview.style.display = strategy.isScale ? 'block' : 'none';
+  includeColorLegendGroup.style.display = strategy.isScale ? 'block' : 'none';
+  if (!strategy.isScale) return;
+
+  const legend = strategy.getLegend();
+  if (legend) {
+    colorScaleBar.style.background = `linear-gradient(to right, ${legend.colors.join(', ')})`;
+    colorScaleMin.textContent = legend.ticks[0].label;
+    colorScaleMax.textContent = legend.ticks[legend.ticks.length - 1].label;
+  } else {
+    colorScaleBar.style.background = '#999999';
+    colorScaleMin.textContent = '';
+    colorScaleMax.textContent = '';
+  }
+
+  if (strategy.isSegmented) {
+    const withStreams = filtered.filter(a => detailedStreams.has(a.id)).length;
+    colorScaleNote.textContent = `${withStreams} of ${filtered.length} activities have detailed routes - the rest use their average` +
+      (colorBySelect.value === 'grade' ? ' (shown gray)' : '');
+  } else {
+    colorScaleNote.textContent = legend ? '' : 'None of the shown activities have this data';
+  }
+}
+
 // Format date based on selected format
 function formatDateOverlay(date, format = null) {
   if (!date) return '';
@@ -149,6 +264,7 @@ function formatDateOverlay(date, format = null) {
 // Update date format dropdown with examples from current animation date
 function updateDateFormatOptions() {
   if (!animationController || !animationController.currentTime || !dateFormatSelect) return;
+  if (isClockReplay()) return; // Clock times would make nonsense example dates
 
   const exampleDate = animationController.currentTime;
   const formats = ['YYYY-MM-DD', 'D MMM YYYY', 'D MMMM YYYY', 'MMM YYYY', 'MMMM YYYY'];
@@ -176,16 +292,35 @@ function updateDatePreview() {
   // Show the preview
   datePreviewOverlay.classList.add('visible');
 
-  // Update the date text
-  datePreviewOverlay.textContent = formatDateOverlay(animationController.currentTime);
+  // Update the date text (or athlete legend)
+  if (isLegendOverlay()) {
+    datePreviewOverlay.innerHTML = '';
+    getAthleteLegend().forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'legend-entry';
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.background = entry.color;
+      row.appendChild(swatch);
+      row.appendChild(document.createTextNode(entry.name));
+      row.style.color = adaptColorToBasemap(entry.color, !!tileSource.dark);
+      datePreviewOverlay.appendChild(row);
+    });
+  } else if (isClockReplay()) {
+    // Exports show a clock in place of the date (see GifExporter._renderClockOverlay)
+    datePreviewOverlay.textContent = formatClockTime(animationController.currentTime);
+  } else {
+    datePreviewOverlay.textContent = formatDateOverlay(animationController.currentTime);
+  }
 
   // Update the corner position
   const corner = getSelectedDateCorner();
   datePreviewOverlay.className = `visible ${corner}`;
 
-  // Update the color to match dominant activity
+  // Update the color to match dominant activity (and the export's shadow on dark maps)
   const color = getDominantActivityColor();
-  datePreviewOverlay.style.color = color;
+  datePreviewOverlay.style.color = adaptColorToBasemap(color, !!tileSource.dark);
+  datePreviewOverlay.style.textShadow = tileSource.dark ? '0 0 6px rgba(0, 0, 0, 0.85)' : '';
 
   // Update dropdown options with current date
   updateDateFormatOptions();
@@ -196,6 +331,26 @@ const loadingEl = document.getElementById('loading');
 const loadBtn = document.getElementById('load-btn');
 const refreshActivitiesBtn = document.getElementById('refresh-activities-btn');
 const logoutBtn = document.getElementById('logout-btn');
+const profileSelect = document.getElementById('profile-select');
+const athletesSection = document.getElementById('athletes-section');
+const athleteList = document.getElementById('athlete-list');
+const addAthleteFileBtn = document.getElementById('add-athlete-file-btn');
+const addAthleteFileInput = document.getElementById('add-athlete-file-input');
+const colorBySelect = document.getElementById('color-by-select');
+const colorSchemesList = document.getElementById('color-schemes-list');
+const colorScalePreview = document.getElementById('color-scale-preview');
+const colorScaleBar = document.getElementById('color-scale-bar');
+const colorScaleMin = document.getElementById('color-scale-min');
+const colorScaleMax = document.getElementById('color-scale-max');
+const colorScaleNote = document.getElementById('color-scale-note');
+const overlayContentGroup = document.getElementById('overlay-content-group');
+const overlayContentSelect = document.getElementById('overlay-content-select');
+const addProfileBtn = document.getElementById('add-profile-btn');
+const deleteProfileBtn = document.getElementById('delete-profile-btn');
+const importFilesBtn = document.getElementById('import-files-btn');
+const importFilesInput = document.getElementById('import-files-input');
+const sourceFilterGroup = document.getElementById('source-filter-group');
+const sourceFilter = document.getElementById('source-filter');
 const activityTypeAll = document.getElementById('activity-type-all');
 const activityTypeList = document.getElementById('activity-type-list');
 const statCount = document.getElementById('stat-count');
@@ -208,6 +363,29 @@ const filterStartDate = document.getElementById('filter-start-date');
 const filterEndDate = document.getElementById('filter-end-date');
 const dateFilterResetBtn = document.getElementById('date-filter-reset-btn');
 
+// Map tile controls
+const basemapSelect = document.getElementById('basemap-select');
+const basemapColor = document.getElementById('basemap-color');
+const basemapColorGroup = document.getElementById('basemap-color-group');
+const tileServerGroup = document.getElementById('tile-server-group');
+const tileServerUrl = document.getElementById('tile-server-url');
+const tileServerApplyBtn = document.getElementById('tile-server-apply-btn');
+const tileCacheGroup = document.getElementById('tile-cache-group');
+const tileCacheMinZoom = document.getElementById('tile-cache-min-zoom');
+const tileCacheMaxZoom = document.getElementById('tile-cache-max-zoom');
+const tileCacheDownloadBtn = document.getElementById('tile-cache-download-btn');
+const tileCacheStopBtn = document.getElementById('tile-cache-stop-btn');
+const tileCacheClearBtn = document.getElementById('tile-cache-clear-btn');
+const tileCacheStatus = document.getElementById('tile-cache-status');
+
+// Detailed route (stream) controls
+const streamsControlsEl = document.getElementById('streams-controls');
+const streamsCount = document.getElementById('streams-count');
+const streamsTotal = document.getElementById('streams-total');
+const fetchStreamsBtn = document.getElementById('fetch-streams-btn');
+const stopStreamsBtn = document.getElementById('stop-streams-btn');
+const streamsStatus = document.getElementById('streams-status');
+
 // Animation controls
 const animationControlsEl = document.getElementById('animation-controls');
 const playBtn = document.getElementById('play-btn');
@@ -216,11 +394,29 @@ const resetBtn = document.getElementById('reset-btn');
 const timelineSlider = document.getElementById('timeline-slider');
 const speedSlider = document.getElementById('speed-slider');
 const speedValue = document.getElementById('speed-value');
+const replayModeSelect = document.getElementById('replay-mode-select');
+const cometTrailsCheckbox = document.getElementById('comet-trails');
+const cometTailGroup = document.getElementById('comet-tail-group');
+const cometTailLength = document.getElementById('comet-tail-length');
+const cometTailUnit = document.getElementById('comet-tail-unit');
+const cameraKeyframeList = document.getElementById('camera-keyframe-list');
+const addCameraKeyframeBtn = document.getElementById('add-camera-keyframe-btn');
+const clearCameraBtn = document.getElementById('clear-camera-btn');
+const followCameraCheckbox = document.getElementById('follow-camera');
+const followWindowGroup = document.getElementById('follow-window-group');
+const followWindow = document.getElementById('follow-window');
+const followWindowUnit = document.getElementById('follow-window-unit');
+const cameraKeyframesGroup = document.getElementById('camera-keyframes-group');
 const timeDisplay = document.getElementById('time-display');
 
 // Export controls
 const exportControlsEl = document.getElementById('export-controls');
 const exportBtn = document.getElementById('export-btn');
+const exportFormat = document.getElementById('export-format');
+const exportBitrate = document.getElementById('export-bitrate');
+const exportBitrateGroup = document.getElementById('export-bitrate-group');
+const transparentBackground = document.getElementById('transparent-background');
+const transparentBackgroundGroup = document.getElementById('transparent-background-group');
 const exportStartDate = document.getElementById('export-start-date');
 const exportEndDate = document.getElementById('export-end-date');
 const exportDuration = document.getElementById('export-duration');
@@ -229,11 +425,27 @@ const exportHeight = document.getElementById('export-height');
 const exportFps = document.getElementById('export-fps');
 const includeDateOverlay = document.getElementById('include-date-overlay');
 const includeHeatmapFrame = document.getElementById('include-heatmap-frame');
+const includeColorLegend = document.getElementById('include-color-legend');
+const includeColorLegendGroup = document.getElementById('include-color-legend-group');
 const dateCornerSelector = document.getElementById('date-corner-selector');
 const dateFormatSelect = document.getElementById('date-format-select');
 const datePreviewOverlay = document.getElementById('date-preview-overlay');
 const sizeEstimateValue = document.getElementById('size-estimate-value');
 const exportProgress = document.getElementById('export-progress');
+const exportPauseBtn = document.getElementById('export-pause-btn');
+const exportCancelBtn = document.getElementById('export-cancel-btn');
+const posterControlsEl = document.getElementById('poster-controls');
+const posterFormat = document.getElementById('poster-format');
+const posterPaper = document.getElementById('poster-paper');
+const posterOrientation = document.getElementById('poster-orientation');
+const posterDpi = document.getElementById('poster-dpi');
+const posterSizeInfo = document.getElementById('poster-size-info');
+const posterBackground = document.getElementById('poster-background');
+const posterTitle = document.getElementById('poster-title');
+const posterSubtitle = document.getElementById('poster-subtitle');
+const posterStats = document.getElementById('poster-stats');
+const posterLegend = document.getElementById('poster-legend');
+const posterBtn = document.getElementById('poster-btn');
 const progressFill = document.getElementById('progress-fill');
 const exportStatus = document.getElementById('export-status');
 
@@ -284,9 +496,15 @@ async function init() {
 
 // Show onboarding
 function showOnboarding() {
-  const onboarding = new OnboardingUI(auth, api, (activities) => {
-    handleActivitiesLoaded(activities);
-  });
+  const onboarding = new OnboardingUI(auth, api, async (activities) => {
+    try {
+      await handleActivitiesLoaded(activities);
+    } catch (error) {
+      console.error('Failed to load activities:', error);
+      loadingEl.classList.add('hidden');
+      alert(`Failed to load activities: ${error.message}`);
+    }
+  }, profiles);
 
   // Determine which step to start at
   const status = auth.getStatus();
@@ -314,7 +532,7 @@ async function loadCachedActivities() {
       throw new Error('No cached activities found');
     }
 
-    handleActivitiesLoaded(activities);
+    await handleActivitiesLoaded(activities);
 
   } catch (error) {
     console.error('Failed to load cached activities:', error);
@@ -324,8 +542,12 @@ async function loadCachedActivities() {
 }
 
 // Handle activities loaded (from cache or fresh fetch)
-function handleActivitiesLoaded(loadedActivities) {
-  activities = loadedActivities;
+async function handleActivitiesLoaded(loadedActivities) {
+  ownActivities = loadedActivities;
+
+  // Bring back athletes combined last time (no-op for ones already loaded)
+  await athletes.restoreProfileSelection();
+  activities = [...ownActivities, ...athletes.getExtraActivities()];
 
   // Remove onboarding container if it exists (it overlays everything)
   const onboardingContainer = document.getElementById('onboarding');
@@ -339,19 +561,27 @@ function handleActivitiesLoaded(loadedActivities) {
   // Populate activity type filter
   populateActivityTypes();
 
+  // Show source filter only when imported files are mixed in
+  initializeSourceFilter();
+
+  renderAthleteList();
+
   // Initialize date filter with full range (URL restore applied below after restoreStateFromURL)
   initializeDateFilter();
 
   // Populate color schemes
   populateColorSchemes();
 
+  await refreshFilteredActivities();
+
   // Initialize animation
   initializeAnimation();
 
   // Set default export dates (only on initial load)
-  if (animationController.startTime && animationController.endTime) {
-    exportStartDate.value = formatDateForInput(animationController.startTime);
-    exportEndDate.value = formatDateForInput(animationController.endTime);
+  const dateRange = animationController.getDateRange();
+  if (dateRange) {
+    exportStartDate.value = formatDateForInput(dateRange.start);
+    exportEndDate.value = formatDateForInput(dateRange.end);
   }
 
   // Set default export dimensions based on current map size (only on initial load)
@@ -369,6 +599,7 @@ function handleActivitiesLoaded(loadedActivities) {
     if (start) filterStartDate.value = start;
     if (end) filterEndDate.value = end;
     delete window.pendingDateFilterRestore;
+    await refreshFilteredActivities();
     initializeAnimation();
   }
 
@@ -390,6 +621,7 @@ function handleActivitiesLoaded(loadedActivities) {
 
     // Update UI
     populateColorSchemes();
+    await refreshFilteredActivities();
     if (animationController) {
       initializeAnimation();
     } else {
@@ -424,6 +656,53 @@ function handleActivitiesLoaded(loadedActivities) {
     delete window.pendingCaptureBoxRestore;
   }
 
+  // Apply pending route color mode (if restored from URL)
+  if (window.pendingColorByRestore) {
+    colorBySelect.value = window.pendingColorByRestore;
+    delete window.pendingColorByRestore;
+    rerenderActivities();
+  }
+
+  // Apply pending replay mode (if restored from URL)
+  if (window.pendingReplayModeRestore) {
+    replayModeSelect.value = window.pendingReplayModeRestore;
+    delete window.pendingReplayModeRestore;
+    updateSpeedLabel();
+    updateCometTrailUI();
+    if (animationController) {
+      animationController.setReplayMode(replayModeSelect.value);
+    }
+  }
+
+  // Apply pending comet trails (if restored from URL)
+  if (window.pendingCometTrailsRestore) {
+    cometTrailsCheckbox.checked = true;
+    cometTailLength.value = window.pendingCometTrailsRestore;
+    delete window.pendingCometTrailsRestore;
+    updateCometTrailUI();
+    if (animationController) {
+      animationController.setCometTrails(true, parseFloat(cometTailLength.value));
+    }
+  }
+
+  // Apply pending follow camera (if restored from URL)
+  if (window.pendingFollowCameraRestore) {
+    followCameraCheckbox.checked = true;
+    followWindow.value = window.pendingFollowCameraRestore;
+    delete window.pendingFollowCameraRestore;
+    updateFollowCameraUI();
+    if (animationController) {
+      animationController.setFollowCamera(getFollowWindow(), getFollowViewport());
+    }
+  }
+
+  // Apply pending camera keyframes (if restored from URL) - before seeking so the camera follows
+  if (window.pendingCameraRestore) {
+    window.pendingCameraRestore.forEach(keyframe => cameraTrack.add(keyframe));
+    delete window.pendingCameraRestore;
+    renderCameraKeyframes();
+  }
+
   // Apply pending animation time (if restored from URL)
   if (window.pendingAnimationTimeRestore && animationController) {
     const targetDate = new Date(window.pendingAnimationTimeRestore);
@@ -452,6 +731,9 @@ function handleActivitiesLoaded(loadedActivities) {
   // Encode initial state to URL
   scheduleURLUpdate();
 
+  // Swap in any previously downloaded full-resolution routes
+  loadDetailedRoutes();
+
   console.log(`Loaded ${activities.length} activities`);
 
   // Expose to window for testing/experiments (development only)
@@ -462,11 +744,12 @@ function handleActivitiesLoaded(loadedActivities) {
 }
 
 function updateStats() {
-  // Get filtered activities based on type selection
+  // Get filtered activities based on type and source selection
   const selectedTypes = getSelectedActivityTypes();
   let filteredActivities = selectedTypes === 'all'
     ? activities
     : activities.filter(a => selectedTypes.includes(a.type));
+  filteredActivities = filteredActivities.filter(matchesSourceFilter);
 
   // Filter by map bounds - only include activities with at least one point visible
   const mapBounds = map ? map.getBounds() : null;
@@ -496,6 +779,29 @@ function updateStats() {
   updateDatePreview();
 }
 
+// Imported activities carry a `source` (file format); Strava API activities don't.
+// Archive imports are Strava activities too, so they count as Strava.
+function isFileImport(activity) {
+  return !!activity.source && activity.source !== ARCHIVE_SOURCE;
+}
+
+function initializeSourceFilter() {
+  const hasImported = activities.some(isFileImport);
+  sourceFilterGroup.style.display = hasImported ? '' : 'none';
+  if (!hasImported) sourceFilter.value = 'all';
+}
+
+function matchesSourceFilter(activity) {
+  switch (sourceFilter.value) {
+    case 'strava':
+      return !isFileImport(activity);
+    case 'imported':
+      return isFileImport(activity);
+    default:
+      return true;
+  }
+}
+
 function initializeDateFilter() {
   const dates = activities
     .filter(a => a.start_date)
@@ -653,33 +959,63 @@ function getSelectedActivityTypes() {
 
 // Get filtered activities based on type
 function getFilteredActivities() {
-  // Filter by activity type
+  return filterResult;
+}
+
+// Re-run the filters against the IndexedDB indexes (type and date range), then the source filter.
+// Call after changing any filter and before re-rendering.
+async function refreshFilteredActivities() {
+  const queryId = ++filterQueryId;
+
   const selectedTypes = getSelectedActivityTypes();
-  let filtered = selectedTypes === 'all'
-    ? activities
-    : activities.filter(a => selectedTypes.includes(a.type));
+  const query = { types: selectedTypes === 'all' ? null : selectedTypes };
 
-  // Filter by date range
   const filterStart = filterStartDate ? filterStartDate.value : '';
   const filterEnd = filterEndDate ? filterEndDate.value : '';
   if (filterStart) {
     const [y, m, d] = filterStart.split('-');
-    const start = new Date(+y, +m - 1, +d); // local midnight
-    filtered = filtered.filter(a => new Date(a.start_date) >= start);
+    query.startDate = new Date(+y, +m - 1, +d); // local midnight
   }
   if (filterEnd) {
     const [y, m, d] = filterEnd.split('-');
-    const end = new Date(+y, +m - 1, +d, 23, 59, 59, 999); // local end-of-day
-    filtered = filtered.filter(a => new Date(a.start_date) <= end);
+    query.endDate = new Date(+y, +m - 1, +d, 23, 59, 59, 999); // local end-of-day
   }
 
-  return filtered;
+  let results;
+  try {
+    results = athletes.tagOwn(await api.queryActivities(query));
+  } catch (error) {
+    // IndexedDB unavailable (e.g. some private browsing modes) or missing activities after a
+    // failed write - filter the loaded array instead
+    console.error('Activity query failed, filtering in memory:', error);
+    results = athletes.tagOwn(filterActivitiesInMemory(ownActivities, query));
+  }
+
+  // Combined athletes are held in memory
+  results = results.concat(filterActivitiesInMemory(athletes.getExtraActivities(), query));
+
+  // A newer filter change started while this query was in flight
+  if (queryId !== filterQueryId) return;
+
+  filterResult = results.filter(matchesSourceFilter);
 }
 
-// Handle date filter changes
-function handleDateFilterChange() {
+// Same criteria as StravaAPI.queryActivities, for activities that aren't in this profile's cache
+function filterActivitiesInMemory(list, query) {
+  return list.filter(a => {
+    const date = new Date(a.start_date);
+    return (!query.types || query.types.includes(a.type)) &&
+      (!query.startDate || date >= query.startDate) &&
+      (!query.endDate || date <= query.endDate);
+  });
+}
+
+// Handle date and source filter changes
+async function handleDateFilterChange() {
   updateStats();
 
+  await refreshFilteredActivities();
+
   if (animationController) {
     initializeAnimation();
   } else {
@@ -690,7 +1026,7 @@ function handleDateFilterChange() {
 }
 
 // Handle activity type checkbox changes
-function handleActivityTypeChange() {
+async function handleActivityTypeChange() {
   const checkboxes = document.querySelectorAll('.activity-type-checkbox');
   const anyChecked = Array.from(checkboxes).some(cb => cb.checked);
   const allPill = document.querySelector('.activity-pill.all-pill');
@@ -715,6 +1051,8 @@ function handleActivityTypeChange() {
   // Update stats to reflect new filter
   updateStats();
 
+  await refreshFilteredActivities();
+
   // Re-render activities with new filter
   if (animationController) {
     initializeAnimation();
@@ -772,6 +1110,8 @@ function renderActivities() {
 
   // Calculate optimal opacity based on activity density in capture box
   const baseOpacity = calculateActivityOpacity();
+  const colorStrategy = createColorStrategy(filtered);
+  updateColorScaleUI(colorStrategy, filtered);
 
   // Render each activity
   filtered.forEach(activity => {
@@ -781,8 +1121,7 @@ function renderActivities() {
     const coords = decodePolyline(polylineStr);
     if (coords.length === 0) return;
 
-    const colors = getActivityColors();
-    const color = colors[activity.type] || colors.default;
+    const color = adaptColorToBasemap(colorStrategy.getActivityColor(activity), !!tileSource.dark);
 
     const polyline = L.polyline(coords, {
       color: color,
@@ -806,6 +1145,13 @@ function renderActivities() {
 
 // Initialize animation
 function initializeAnimation() {
+  // A running (or paused) export holds the current controller and exporter -
+  // rebuilding them now would orphan it, so apply the change once it ends
+  if (gifExporter?.isExporting) {
+    reinitializeAfterExport = true;
+    return;
+  }
+
   // Filter activities based on selected types and privacy settings
   const filtered = getFilteredActivities();
 
@@ -826,7 +1172,15 @@ function initializeAnimation() {
   const baseOpacity = calculateActivityOpacity();
 
   // Create new animation controller with color function and base opacity
-  animationController = new AnimationController(filtered, map, getActivityColors, baseOpacity);
+  animationController = new AnimationController(filtered, map, getActivityColors, baseOpacity, detailedCoords);
+  animationController.colorStrategy = createColorStrategy(filtered);
+  animationController.streamTimes = new Map([...detailedStreams].map(([id, stream]) => [id, stream.time]));
+  animationController.setReplayMode(replayModeSelect.value);
+  animationController.setCometTrails(cometTrailsCheckbox.checked, parseFloat(cometTailLength.value));
+  animationController.cameraTrack = cameraTrack;
+  animationController.setFollowCamera(getFollowWindow(), getFollowViewport());
+  updateColorScaleUI(animationController.colorStrategy, filtered);
+  animationController.darkBasemap = !!tileSource.dark;
 
   // Set up callbacks
   animationController.onTimeUpdate = (currentTime) => {
@@ -856,17 +1210,60 @@ function initializeAnimation() {
   updateTimelineSlider();
 
   // Sync export date range to match the filtered activity range
-  if (animationController.startTime && animationController.endTime) {
-    exportStartDate.value = formatDateForInput(animationController.startTime);
-    exportEndDate.value = formatDateForInput(animationController.endTime);
+  const dateRange = animationController.getDateRange();
+  if (dateRange) {
+    exportStartDate.value = formatDateForInput(dateRange.start);
+    exportEndDate.value = formatDateForInput(dateRange.end);
     updateGifSizeEstimate();
   }
 
-  // Initialize GIF exporter
+  // Initialize GIF and poster exporters
   gifExporter = new GifExporter(animationController, map);
+  gifExporter.tileSource = tileSource;
+  gifExporter.tileCache = TileCache.isSupported() ? tileCache : null;
+  posterExporter = new PosterExporter(gifExporter);
 
   // Show export controls
   exportControlsEl.style.display = 'block';
+  posterControlsEl.style.display = 'block';
+
+  updateStreamsStatus();
+}
+
+// Load cached streams and re-render with them
+async function loadDetailedRoutes() {
+  const streams = await api.getCachedStreams();
+
+  detailedCoords = new Map();
+  detailedStreams = new Map();
+  streams.forEach((stream, id) => {
+    if (stream.latlng && stream.latlng.length >= 2) {
+      detailedCoords.set(id, stream.latlng);
+      detailedStreams.set(id, stream);
+    }
+  });
+
+  if (detailedCoords.size > 0 && animationController) {
+    initializeAnimation();
+  } else {
+    updateStreamsStatus();
+  }
+}
+
+// Only this profile's activities that exist on Strava (numeric ids) with a route can have streams
+function getStreamableActivities() {
+  return getFilteredActivities().filter(a =>
+    a.athlete_id === athletes.ownId && typeof a.id === 'number' && a.map?.summary_polyline
+  );
+}
+
+function updateStreamsStatus() {
+  const streamable = getStreamableActivities();
+
+  // Streams need an access token, so hide the section for file-only users
+  streamsControlsEl.style.display = auth.isAuthenticated() && activities.length > 0 ? 'block' : 'none';
+  streamsTotal.textContent = streamable.length;
+  streamsCount.textContent = streamable.filter(a => detailedCoords.has(a.id)).length;
 }
 
 function formatDateForInput(date) {
@@ -882,6 +1279,11 @@ function updateTimeDisplay(date) {
     updateDatePreview(); // Update preview even when no date
     return;
   }
+  if (isClockReplay()) {
+    timeDisplay.textContent = formatClockTime(date);
+    updateDatePreview();
+    return;
+  }
   timeDisplay.textContent = date.toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'short',
@@ -1270,6 +1672,8 @@ function setupCaptureBoxResize() {
       // Re-enable map dragging
       map.dragging.enable();
 
+      refreshFollowViewport();
+
       // Update URL after capture box move/resize
       scheduleURLUpdate();
     }
@@ -1368,6 +1772,8 @@ function updateCaptureBox(ratio) {
   // Update size estimate
   updateGifSizeEstimate();
 
+  refreshFollowViewport();
+
   // Update URL with new capture box state
   scheduleURLUpdate();
 }
@@ -1385,14 +1791,459 @@ refreshActivitiesBtn.addEventListener('click', () => {
 
 logoutBtn.addEventListener('click', () => {
   // Show logout confirmation dialog
+  document.getElementById('logout-profile-name').textContent = profiles.getActive().name;
   document.getElementById('logout-confirmation-popup').classList.add('active');
 });
 
+// Profile switcher - each profile has its own auth and cache, so switching reloads the page
+function populateProfileSelect() {
+  const activeId = profiles.getActiveId();
+  profileSelect.innerHTML = '';
+  profiles.list().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === activeId;
+    profileSelect.appendChild(option);
+  });
+  // The default profile can't be deleted
+  deleteProfileBtn.style.display = activeId === DEFAULT_PROFILE_ID ? 'none' : '';
+}
+
+profileSelect.addEventListener('change', () => {
+  profiles.setActive(profileSelect.value);
+  window.location.reload();
+});
+
+addProfileBtn.addEventListener('click', () => {
+  const name = prompt('Name for the new profile (e.g. the athlete\'s name):');
+  if (!name || !name.trim()) return;
+
+  const profile = profiles.create(name);
+  profiles.setActive(profile.id);
+  window.location.reload();
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+  const { id, name } = profiles.getActive();
+  if (id === DEFAULT_PROFILE_ID) return;
+  if (!confirm(`Delete the profile "${name}"? Its credentials, tokens, cached activities and detailed routes are removed from this browser.`)) return;
+
+  auth.clearAll();
+  await api.deleteDatabase();
+  profiles.remove(id); // Falls back to the default profile
+  window.location.reload();
+});
+
+populateProfileSelect();
+
+// Combined map - other athletes' datasets shown alongside this profile
+function renderAthleteList() {
+  athletesSection.style.display = '';
+  overlayContentGroup.style.display = athletes.hasExtras() ? '' : 'none';
+  athleteList.innerHTML = '';
+
+  const addRow = ({ name, color, checked = null, onToggle = null, onColor = null, onRemove = null }) => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 6px 0; padding: 6px 8px; background: #f8f9fa; border-radius: 4px; font-size: 13px;';
+
+    if (checked !== null) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = checked;
+      checkbox.style.width = 'auto';
+      checkbox.addEventListener('change', () => onToggle(checkbox.checked));
+      row.appendChild(checkbox);
+    }
+
+    const label = document.createElement('span');
+    label.textContent = name;
+    label.style.flex = '1';
+    row.appendChild(label);
+
+    if (onColor) {
+      const picker = document.createElement('input');
+      picker.type = 'color';
+      picker.value = color;
+      picker.style.cssText = 'width: 32px; height: 24px; padding: 0; border: none;';
+      picker.addEventListener('change', () => onColor(picker.value));
+      row.appendChild(picker);
+    }
+
+    if (onRemove) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'secondary';
+      removeBtn.style.cssText = 'width: auto; margin: 0; padding: 2px 8px;';
+      removeBtn.title = 'Remove';
+      removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+      removeBtn.addEventListener('click', onRemove);
+      row.appendChild(removeBtn);
+    }
+
+    athleteList.appendChild(row);
+  };
+
+  const setColor = (id) => (color) => {
+    athletes.setColor(id, color);
+    rerenderActivities();
+    updateDatePreview();
+  };
+
+  addRow({ name: `${athletes.own.name} (this profile)`, color: athletes.own.color, onColor: setColor(athletes.own.id) });
+
+  athletes.getAvailableProfiles().forEach(profile => {
+    const added = athletes.extras.find(a => a.id === profile.id);
+    addRow({
+      name: profile.name,
+      color: added?.color,
+      checked: !!added,
+      onColor: added ? setColor(profile.id) : null,
+      onToggle: async (include) => {
+        if (include) {
+          const count = await athletes.addProfile(profile.id);
+          if (count === 0) alert(`${profile.name} has no cached activities yet. Switch to that profile to load them first.`);
+        } else {
+          athletes.remove(profile.id);
+        }
+        await refreshCombinedView();
+      }
+    });
+  });
+
+  athletes.extras.filter(a => a.kind === 'file').forEach(athlete => {
+    addRow({
+      name: athlete.name,
+      color: athlete.color,
+      onColor: setColor(athlete.id),
+      onRemove: async () => {
+        athletes.remove(athlete.id);
+        await refreshCombinedView();
+      }
+    });
+  });
+}
+
+function rerenderActivities() {
+  if (animationController) {
+    initializeAnimation();
+  } else {
+    renderActivities();
+  }
+}
+
+// Rebuild filters and rendering after athletes were added or removed
+async function refreshCombinedView() {
+  activities = [...ownActivities, ...athletes.getExtraActivities()];
+
+  // Coloring by athlete is what a combined map is for (data-driven modes are kept)
+  if (COLOR_MODES[colorBySelect.value].kind === 'category') {
+    colorBySelect.value = athletes.hasExtras() ? 'athlete' : 'type';
+  }
+
+  renderAthleteList();
+  updateStats();
+  populateActivityTypes();
+  initializeSourceFilter();
+  initializeDateFilter();
+  populateColorSchemes();
+
+  await refreshFilteredActivities();
+  rerenderActivities();
+  updateDatePreview();
+}
+
+addAthleteFileBtn.addEventListener('click', () => {
+  addAthleteFileInput.click();
+});
+
+addAthleteFileInput.addEventListener('change', async () => {
+  const file = addAthleteFileInput.files[0];
+  if (!file) return;
+
+  try {
+    loadingEl.classList.remove('hidden');
+
+    const { activities: loaded, errors } = await api.importFiles([file]);
+    if (loaded.length === 0) {
+      throw new Error(errors[0]?.error || 'No activities found in file');
+    }
+
+    const name = prompt('Athlete name for the legend:', file.name.replace(/\.[^.]+$/, ''));
+    if (name === null) return;
+
+    athletes.addFile(name.trim() || file.name, loaded);
+    await refreshCombinedView();
+  } catch (error) {
+    console.error('Failed to add athlete:', error);
+    alert(`Failed to add athlete: ${error.message}`);
+  } finally {
+    addAthleteFileInput.value = '';
+    loadingEl.classList.add('hidden');
+  }
+});
+
+colorBySelect.addEventListener('change', () => {
+  rerenderActivities();
+  scheduleURLUpdate();
+});
+
+overlayContentSelect.addEventListener('change', () => {
+  updateDatePreview();
+});
+
+fetchStreamsBtn.addEventListener('click', async () => {
+  streamsAbortController = new AbortController();
+  fetchStreamsBtn.disabled = true;
+  stopStreamsBtn.style.display = 'inline-block';
+  streamsStatus.textContent = 'Starting...';
+
+  try {
+    const { fetched, errors } = await api.fetchStreamsForActivities(getStreamableActivities(), {
+      signal: streamsAbortController.signal,
+      onProgress: (done, total) => {
+        streamsStatus.textContent = `Downloaded ${done} of ${total} remaining routes...`;
+      },
+      onWait: (seconds) => {
+        const resumeAt = new Date(Date.now() + seconds * 1000);
+        streamsStatus.textContent = `Strava rate limit reached - resuming at ${resumeAt.toLocaleTimeString()}`;
+      }
+    });
+
+    let message = streamsAbortController.signal.aborted
+      ? `Stopped after ${fetched} routes. Fetch again to resume.`
+      : `Downloaded ${fetched} detailed routes.`;
+    if (errors.length > 0) {
+      message += ` ${errors.length} failed (${errors[errors.length - 1].error}).`;
+    }
+    streamsStatus.textContent = message;
+
+    if (fetched > 0) {
+      await loadDetailedRoutes();
+    }
+  } catch (error) {
+    console.error('Stream fetch failed:', error);
+    streamsStatus.textContent = `Failed: ${error.message}`;
+  } finally {
+    streamsAbortController = null;
+    fetchStreamsBtn.disabled = false;
+    stopStreamsBtn.style.display = 'none';
+  }
+});
+
+stopStreamsBtn.addEventListener('click', () => {
+  if (streamsAbortController) {
+    streamsAbortController.abort();
+  }
+});
+
+// ============================================================================
+// MAP TILES
+// ============================================================================
+
+// Above this many tiles, ask before downloading (CARTO asks for fair use)
+const TILE_CACHE_CONFIRM_COUNT = 2000;
+const TILE_CACHE_MAX_COUNT = 50000;
+
+async function updateTileCacheStatus() {
+  const count = await tileCache.count();
+  tileCacheStatus.textContent = count > 0 ? `${count.toLocaleString()} tiles cached` : 'No tiles cached';
+}
+
+/**
+ * Switch the map (and exports) to the basemap picked in the Base map section
+ */
+function applyBasemap() {
+  const id = basemapSelect.value;
+  const wasDark = !!tileSource.dark;
+
+  basemapColorGroup.style.display = id === 'none' || id === 'labels' ? 'block' : 'none';
+  tileServerGroup.style.display = id === 'custom' ? 'block' : 'none';
+
+  setTileSource(getBasemapSource(id, { url: tileServerUrl.value.trim(), color: basemapColor.value }));
+  localStorage.setItem(BASEMAP_KEY, JSON.stringify({
+    id,
+    color: basemapColor.value,
+    url: tileServerUrl.value.trim()
+  }));
+
+  // Nothing to pre-download for a solid color, and OSM forbids bulk downloads
+  tileCacheDownloadBtn.disabled = !tileSource.url || !!tileSource.noBulkDownload;
+  tileCacheDownloadBtn.title = tileSource.noBulkDownload ? 'Not allowed by the OpenStreetMap tile usage policy' : '';
+
+  // Routes and the date overlay change tone between light and dark maps
+  if (!!tileSource.dark !== wasDark && activities.length > 0) {
+    rerenderActivities();
+    updateDatePreview();
+  }
+
+  scheduleURLUpdate();
+}
+
+basemapSelect.addEventListener('change', () => {
+  // Wait for a URL before leaving the current map
+  if (basemapSelect.value === 'custom' && !tileServerUrl.value.trim()) {
+    tileServerGroup.style.display = 'block';
+    basemapColorGroup.style.display = 'none';
+    tileServerUrl.focus();
+    return;
+  }
+  applyBasemap();
+});
+
+basemapColor.addEventListener('change', applyBasemap);
+
+// Custom tile server URLs need all three tile placeholders
+function isTileTemplate(url) {
+  return /\{z\}/.test(url) && /\{x\}/.test(url) && /\{y\}/.test(url);
+}
+
+tileServerApplyBtn.addEventListener('click', () => {
+  const url = tileServerUrl.value.trim();
+  if (!isTileTemplate(url)) {
+    alert('The tile server URL needs {z}, {x} and {y} placeholders, e.g. http://localhost:8080/{z}/{x}/{y}.png');
+    return;
+  }
+  applyBasemap();
+});
+
+/**
+ * Initial base map: from the shared URL, else the last one used here.
+ * Runs at startup rather than in restoreStateFromURL so the map never shows the wrong style.
+ */
+function restoreBasemap() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(BASEMAP_KEY)) || {};
+  } catch (e) {
+    // Ignore a corrupt entry
+  }
+
+  const id = params.get('basemap') || saved.id;
+  if (BASEMAP_IDS.includes(id)) {
+    basemapSelect.value = id;
+  }
+  const color = params.get('basemapColor') || saved.color;
+  if (/^#[0-9a-f]{6}$/i.test(color || '')) {
+    basemapColor.value = color;
+  }
+  let url = params.get('basemapUrl') || saved.url || '';
+  // A shared link's tile server only gets the viewer's tile requests once they agree
+  if (basemapSelect.value === 'custom' && url !== saved.url && isTileTemplate(url) &&
+      !confirm(`This link loads map tiles from ${url}. Use that tile server?`)) {
+    url = '';
+  }
+  // Same check as the Apply button - anything else falls back to the light map below
+  tileServerUrl.value = isTileTemplate(url) ? url : '';
+
+  if (basemapSelect.value === 'custom' && !tileServerUrl.value) {
+    basemapSelect.value = 'light';
+  }
+  applyBasemap();
+}
+
+restoreBasemap();
+
+tileCacheDownloadBtn.addEventListener('click', async () => {
+  const minZoom = Math.max(0, parseInt(tileCacheMinZoom.value, 10) || 0);
+  const maxZoom = Math.min(tileSource.maxZoom, parseInt(tileCacheMaxZoom.value, 10) || 0);
+  if (maxZoom < minZoom) {
+    alert('The maximum zoom must be at least the minimum zoom.');
+    return;
+  }
+
+  const bounds = map.getBounds();
+  const count = TileCache.countTiles(bounds, minZoom, maxZoom);
+  if (count > TILE_CACHE_MAX_COUNT) {
+    alert(`That's ${count.toLocaleString()} tiles - zoom in or lower the maximum zoom.`);
+    return;
+  }
+  if (count > TILE_CACHE_CONFIRM_COUNT &&
+      !confirm(`Download ${count.toLocaleString()} tiles for zoom ${minZoom}–${maxZoom}?`)) {
+    return;
+  }
+
+  tileCacheAbortController = new AbortController();
+  tileCacheDownloadBtn.disabled = true;
+  tileCacheStopBtn.style.display = 'inline-block';
+  tileCacheStatus.textContent = 'Starting...';
+
+  try {
+    const { downloaded, skipped, failed } = await tileCache.precache(tileSource, bounds, minZoom, maxZoom, {
+      signal: tileCacheAbortController.signal,
+      onProgress: (done, total) => {
+        tileCacheStatus.textContent = `Downloading tiles: ${done} of ${total}...`;
+      }
+    });
+
+    let message = tileCacheAbortController.signal.aborted
+      ? `Stopped after ${downloaded} tiles. Download again to resume.`
+      : `Downloaded ${downloaded} tiles (${skipped} already cached).`;
+    if (failed > 0) {
+      message += ` ${failed} failed.`;
+    }
+    tileCacheStatus.textContent = `${message} ${(await tileCache.count()).toLocaleString()} tiles cached.`;
+  } catch (error) {
+    console.error('Tile download failed:', error);
+    tileCacheStatus.textContent = `Failed: ${error.message}`;
+  } finally {
+    tileCacheAbortController = null;
+    tileCacheDownloadBtn.disabled = false;
+    tileCacheStopBtn.style.display = 'none';
+  }
+});
+
+tileCacheStopBtn.addEventListener('click', () => {
+  if (tileCacheAbortController) {
+    tileCacheAbortController.abort();
+  }
+});
+
+tileCacheClearBtn.addEventListener('click', async () => {
+  if (!confirm('Delete all downloaded map tiles?')) return;
+  await tileCache.clear();
+  await updateTileCacheStatus();
+});
+
+if (TileCache.isSupported()) {
+  updateTileCacheStatus();
+} else {
+  // Cache Storage needs a secure context (https or localhost)
+  tileCacheGroup.style.display = 'none';
+}
+
+importFilesInput.accept = IMPORT_ACCEPT;
+
+importFilesBtn.addEventListener('click', () => {
+  importFilesInput.click();
+});
+
+importFilesInput.addEventListener('change', async () => {
+  const files = importFilesInput.files;
+  if (!files || files.length === 0) return;
+
+  try {
+    loadingEl.classList.remove('hidden');
+
+    const merged = await importAndMergeFiles(api, files);
+    await handleActivitiesLoaded(merged);
+  } catch (error) {
+    console.error('Import failed:', error);
+    alert(`Import failed: ${error.message}`);
+  } finally {
+    // Reset so selecting the same files again still fires 'change'
+    importFilesInput.value = '';
+    loadingEl.classList.add('hidden');
+  }
+});
+
 // Logout confirmation function (global for onclick handler)
 window.confirmLogout = async () => {
-  // Clear all auth and cache data
+  // Clear auth and cache data for the active profile only - the profile itself stays
   auth.clearAll();
   await api.clearCache();
+  await api.clearStreams();
+  await api.clearFetchCheckpoint();
 
   // Hide confirmation popup
   document.getElementById('logout-confirmation-popup').classList.remove('active');
@@ -1402,7 +2253,7 @@ window.confirmLogout = async () => {
 };
 
 // "All Activities" pill handler
-activityTypeAll.parentElement.addEventListener('click', (e) => {
+activityTypeAll.parentElement.addEventListener('click', async (e) => {
   e.preventDefault();
 
   const checkboxes = document.querySelectorAll('.activity-type-checkbox');
@@ -1434,6 +2285,8 @@ activityTypeAll.parentElement.addEventListener('click', (e) => {
   // Update color schemes to show selected types
   populateColorSchemes();
 
+  await refreshFilteredActivities();
+
   // Re-render
   if (animationController) {
     initializeAnimation();
@@ -1478,12 +2331,171 @@ timelineSlider.addEventListener('input', (e) => {
 
 speedSlider.addEventListener('input', (e) => {
   const speed = parseFloat(e.target.value);
-  speedValue.textContent = `${speed} d/s`;
+  updateSpeedLabel();
   if (animationController) {
     animationController.setSpeed(speed);
   }
 });
 
+// Whether activities are replayed on a single 24-hour clock rather than by date
+function isClockReplay() {
+  return replayModeSelect.value === 'time-of-day';
+}
+
+function updateSpeedLabel() {
+  speedValue.textContent = `${speedSlider.value} ${REPLAY_MODES[replayModeSelect.value].speedLabel}`;
+}
+
+function updateCometTrailUI() {
+  cometTailGroup.style.display = cometTrailsCheckbox.checked ? 'flex' : 'none';
+  cometTailUnit.textContent = REPLAY_MODES[replayModeSelect.value].unitLabel;
+}
+
+function applyCometTrails() {
+  updateCometTrailUI();
+  if (animationController) {
+    animationController.setCometTrails(cometTrailsCheckbox.checked, parseFloat(cometTailLength.value));
+  }
+  scheduleURLUpdate();
+}
+
+cometTrailsCheckbox.addEventListener('change', applyCometTrails);
+cometTailLength.addEventListener('change', applyCometTrails);
+
+function formatKeyframeTime(time) {
+  const date = new Date(time);
+  if (isClockReplay()) return formatClockTime(date);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderCameraKeyframes() {
+  cameraKeyframeList.innerHTML = '';
+  clearCameraBtn.disabled = cameraTrack.isEmpty;
+
+  cameraTrack.keyframes.forEach((keyframe, index) => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 6px 0; padding: 6px 8px; background: #f8f9fa; border-radius: 4px; font-size: 13px;';
+
+    const label = document.createElement('span');
+    label.textContent = `${formatKeyframeTime(keyframe.time)} · z${keyframe.zoom.toFixed(1)}`;
+    label.title = `${keyframe.lat.toFixed(4)}, ${keyframe.lng.toFixed(4)}`;
+    label.style.flex = '1';
+    row.appendChild(label);
+
+    // Easing of the move into this keyframe (the first keyframe has nothing to ease from)
+    if (index > 0) {
+      const easingSelect = document.createElement('select');
+      easingSelect.style.cssText = 'width: auto; margin: 0; padding: 2px 4px; font-size: 12px;';
+      Object.entries(EASINGS).forEach(([id, { label: name }]) => {
+        easingSelect.add(new Option(name, id, false, id === keyframe.easing));
+      });
+      easingSelect.addEventListener('change', () => {
+        keyframe.easing = easingSelect.value;
+        scheduleURLUpdate();
+      });
+      row.appendChild(easingSelect);
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary';
+    removeBtn.style.cssText = 'width: auto; margin: 0; padding: 2px 8px;';
+    removeBtn.title = 'Remove';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => {
+      cameraTrack.remove(index);
+      renderCameraKeyframes();
+      scheduleURLUpdate();
+    });
+    row.appendChild(removeBtn);
+
+    cameraKeyframeList.appendChild(row);
+  });
+}
+
+addCameraKeyframeBtn.addEventListener('click', () => {
+  if (!animationController?.currentTime) return;
+
+  const center = map.getCenter();
+  cameraTrack.add({
+    time: animationController.currentTime.getTime(),
+    lat: center.lat,
+    lng: center.lng,
+    zoom: map.getZoom()
+  });
+  renderCameraKeyframes();
+  scheduleURLUpdate();
+});
+
+clearCameraBtn.addEventListener('click', () => {
+  cameraTrack.clear();
+  renderCameraKeyframes();
+  scheduleURLUpdate();
+});
+
+// Follow window in speed units, or 0 when off
+function getFollowWindow() {
+  return followCameraCheckbox.checked ? parseFloat(followWindow.value) || 0 : 0;
+}
+
+// Map pixels the follow camera fits routes into - the capture box (wherever it sits) or the whole map
+function getFollowViewport() {
+  const size = map.getSize();
+  if (!captureBox.bounds) {
+    return { width: size.x, height: size.y };
+  }
+  const { left, top, width, height } = captureBox.bounds;
+  return {
+    width,
+    height,
+    offsetX: left + width / 2 - size.x / 2,
+    offsetY: top + height / 2 - size.y / 2
+  };
+}
+
+// Refit the follow camera after the capture box moves or resizes
+function refreshFollowViewport() {
+  if (animationController?.followCamera) {
+    animationController.setFollowCamera(getFollowWindow(), getFollowViewport());
+  }
+}
+
+function updateFollowCameraUI() {
+  followWindowGroup.style.display = followCameraCheckbox.checked ? 'flex' : 'none';
+  followWindowUnit.textContent = REPLAY_MODES[replayModeSelect.value].unitLabel;
+  // Following replaces the keyframes
+  cameraKeyframesGroup.style.display = followCameraCheckbox.checked ? 'none' : '';
+}
+
+function applyFollowCamera() {
+  updateFollowCameraUI();
+  if (animationController) {
+    animationController.setFollowCamera(getFollowWindow(), getFollowViewport());
+  }
+  scheduleURLUpdate();
+}
+
+followCameraCheckbox.addEventListener('change', applyFollowCamera);
+followWindow.addEventListener('change', applyFollowCamera);
+
+replayModeSelect.addEventListener('change', () => {
+  updateSpeedLabel();
+  updateCometTrailUI(); // Tail length unit follows the replay mode
+  updateFollowCameraUI();
+
+  // Keyframe times belong to the old timeline
+  if (!cameraTrack.isEmpty) {
+    cameraTrack.clear();
+    renderCameraKeyframes();
+  }
+  if (!animationController) return;
+
+  // Switching restarts the replay from the beginning of the new timeline
+  animationController.setReplayMode(replayModeSelect.value);
+  playBtn.disabled = false;
+  pauseBtn.disabled = true;
+  scheduleURLUpdate();
+});
+
 // Aspect ratio pill controls
 document.querySelectorAll('.aspect-ratio-pill').forEach(pill => {
   pill.addEventListener('click', () => {
@@ -1526,28 +2538,54 @@ exportHeight.addEventListener('input', () => {
   scheduleURLUpdate();
 });
 
-// Estimate GIF file size based on settings
+// Estimate export file size based on settings
 function updateGifSizeEstimate() {
   const width = parseInt(exportWidth.value);
   const height = parseInt(exportHeight.value);
   const duration = parseInt(exportDuration.value);
   const fps = parseInt(exportFps.value);
 
-  // Calculate number of frames (including final heatmap frame)
-  const frameCount = Math.floor(duration * fps) + 1;
-
-  // Estimate size per frame based on resolution
-  // GIF compression is limited for complex map data with many colors:
-  // - Map tiles and routes have high color variance, reducing compression effectiveness
-  // - Quality=10 setting produces larger files
-  // - Empirically tested: ~0.7 bytes per pixel for typical map content
-  const pixels = width * height;
-  const bytesPerPixel = 0.7; // Realistic estimate based on actual GIF output
-  const frameOverhead = 2048; // Frame header and metadata
-  const globalOverhead = 50000; // GIF header, color tables, etc.
-
-  const estimatedBytesPerFrame = (pixels * bytesPerPixel) + frameOverhead;
-  const estimatedTotalBytes = (estimatedBytesPerFrame * frameCount) + globalOverhead;
+  const format = exportFormat.value;
+  let estimatedTotalBytes;
+  if (format === 'gif') {
+    // Calculate number of frames (including final heatmap frame)
+    const frameCount = Math.floor(duration * fps) + 1;
+
+    // Estimate size per frame based on resolution
+    // GIF compression is limited for complex map data with many colors:
+    // - Map tiles and routes have high color variance, reducing compression effectiveness
+    // - Quality=10 setting produces larger files
+    // - Empirically tested: ~0.7 bytes per pixel for typical map content
+    const pixels = width * height;
+    const bytesPerPixel = 0.7; // Realistic estimate based on actual GIF output
+    const frameOverhead = 2048; // Frame header and metadata
+    const globalOverhead = 50000; // GIF header, color tables, etc.
+
+    const estimatedBytesPerFrame = (pixels * bytesPerPixel) + frameOverhead;
+    estimatedTotalBytes = (estimatedBytesPerFrame * frameCount) + globalOverhead;
+  } else if (format === 'apng' || format === 'webp' || format === 'frames') {
+    const frameCount = Math.floor(duration * fps) + 1;
+    const pixels = width * height;
+
+    // APNG/WebP only store the changed region of each frame: the first frame
+    // is a full image, later ones are mostly new routes and the date overlay.
+    // A PNG sequence stores every frame in full.
+    // Rough figures for map content: PNG ~1.2 bytes/pixel, lossy WebP ~0.15.
+    const bytesPerPixel = format === 'webp' ? 0.15 : 1.2;
+    const changedFraction = format === 'frames' ? 1 : 0.15;
+    // Without a base map most of each frame is empty and compresses to almost nothing
+    const contentFactor = transparentBackground.checked ? 0.2 : 1;
+
+    const firstFrameBytes = pixels * bytesPerPixel * contentFactor;
+    const laterFrameBytes = pixels * changedFraction * bytesPerPixel * contentFactor;
+    estimatedTotalBytes = firstFrameBytes + laterFrameBytes * (frameCount - 1);
+  } else {
+    // Video size is set by the bitrate, not the resolution or frame rate
+    // (the heatmap frame is held for 1 second at the end)
+    const bitrate = parseInt(exportBitrate.value);
+    const seconds = duration + (includeHeatmapFrame.checked ? 1 : 0);
+    estimatedTotalBytes = (bitrate * seconds) / 8;
+  }
 
   // Convert to human-readable format
   const estimatedMB = estimatedTotalBytes / (1024 * 1024);
@@ -1572,6 +2610,56 @@ function updateGifSizeEstimate() {
   sizeEstimateValue.textContent = displayText;
 }
 
+/**
+ * Disable formats the browser can't encode, and fall back to GIF if one was selected
+ */
+function initExportFormats() {
+  const supported = {
+    gif: true,
+    apng: true,
+    webp: isAnimatedWebPSupported(),
+    webm: isWebMSupported(),
+    mp4: isMP4Supported(),
+    frames: true
+  };
+  Array.from(exportFormat.options).forEach(option => {
+    option.disabled = !supported[option.value];
+    if (option.disabled) option.textContent += ' - not supported in this browser';
+  });
+  if (!supported[exportFormat.value]) exportFormat.value = 'gif';
+}
+
+/**
+ * Show format-specific settings and label the export button for the selected format
+ */
+function updateExportFormatUI() {
+  const format = EXPORT_FORMATS[exportFormat.value];
+  exportBitrateGroup.style.display = isVideoFormat(exportFormat.value) ? 'block' : 'none';
+  transparentBackgroundGroup.style.display = format.alpha ? 'block' : 'none';
+  if (!exportBtn.disabled) {
+    exportBtn.textContent = `Create ${format.label}`;
+  }
+}
+
+function isVideoFormat(format) {
+  return format === 'webm' || format === 'mp4';
+}
+
+exportFormat.addEventListener('change', () => {
+  updateExportFormatUI();
+  updateGifSizeEstimate();
+  scheduleURLUpdate();
+});
+exportBitrate.addEventListener('change', () => {
+  updateGifSizeEstimate();
+  scheduleURLUpdate();
+});
+includeHeatmapFrame.addEventListener('change', updateGifSizeEstimate);
+transparentBackground.addEventListener('change', () => {
+  updateGifSizeEstimate();
+  scheduleURLUpdate();
+});
+
 // Update estimate when export settings change (width/height handled above with aspect ratio)
 exportDuration.addEventListener('input', () => {
   updateGifSizeEstimate();
@@ -1584,6 +2672,9 @@ exportFps.addEventListener('change', () => {
 exportStartDate.addEventListener('change', scheduleURLUpdate);
 exportEndDate.addEventListener('change', scheduleURLUpdate);
 
+// Source filter
+sourceFilter.addEventListener('change', handleDateFilterChange);
+
 // Date filter controls
 filterStartDate.addEventListener('change', handleDateFilterChange);
 filterEndDate.addEventListener('change', handleDateFilterChange);
@@ -1616,7 +2707,9 @@ dateFormatSelect.addEventListener('change', () => {
   scheduleURLUpdate();
 });
 
-// Initialize the estimate on load
+// Initialize the format selector and estimate on load
+initExportFormats();
+updateExportFormatUI();
 updateGifSizeEstimate();
 
 // Export controls
@@ -1633,6 +2726,7 @@ exportBtn.addEventListener('click', async () => {
     const width = parseInt(exportWidth.value);
     const height = parseInt(exportHeight.value);
     const fps = parseInt(exportFps.value);
+    const format = exportFormat.value;
 
     // Validate dates
     if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
@@ -1649,15 +2743,19 @@ exportBtn.addEventListener('click', async () => {
     exportProgress.style.display = 'block';
     exportBtn.disabled = true;
     exportBtn.textContent = 'Creating...';
+    exportPauseBtn.textContent = 'Pause';
+    exportCancelBtn.disabled = false;
 
     // Set up progress callback
     gifExporter.onProgress = (percent, message) => {
       progressFill.style.width = `${percent}%`;
       progressFill.textContent = `${Math.round(percent)}%`;
       exportStatus.textContent = message;
+      // Pausing only applies while frames are being captured
+      exportPauseBtn.disabled = !gifExporter.canPause;
     };
 
-    // Export GIF with capture box bounds and date overlay settings
+    // Export with capture box bounds and date overlay settings
     const blob = await gifExporter.export({
       startDate,
       endDate,
@@ -1671,28 +2769,132 @@ exportBtn.addEventListener('click', async () => {
         enabled: true,
         corner: getSelectedDateCorner(),
         color: getDominantActivityColor(),
-        format: dateFormatSelect.value
+        format: dateFormatSelect.value,
+        legend: isLegendOverlay() ? getAthleteLegend() : null
       } : { enabled: false },
-      includeHeatmapFrame: includeHeatmapFrame.checked
+      includeHeatmapFrame: includeHeatmapFrame.checked,
+      colorLegend: getExportColorLegend(),
+      format,
+      bitrate: parseInt(exportBitrate.value),
+      transparentBackground: EXPORT_FORMATS[format].alpha && transparentBackground.checked
     });
 
     // Hide progress, re-enable button
     exportProgress.style.display = 'none';
     exportBtn.disabled = false;
-    exportBtn.textContent = 'Create GIF';
+    updateExportFormatUI();
 
-    // Open GIF in a new tab
-    const url = URL.createObjectURL(blob);
-    window.open(url, '_blank');
+    if (EXPORT_FORMATS[format].viewable) {
+      // Open the animated image in a new tab
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank');
+    } else {
+      // Videos and ZIPs don't reliably open from a blob URL, so download them
+      GifExporter.download(blob, `strava-animation.${EXPORT_FORMATS[format].extension}`);
+    }
 
-    console.log(`GIF ready! Size: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`${EXPORT_FORMATS[format].label} ready! Size: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
 
   } catch (error) {
-    console.error('Export failed:', error);
-    alert(`Export failed: ${error.message}`);
+    // A cancelled export has already cleaned up after itself - nothing to report
+    if (error.name !== 'AbortError') {
+      console.error('Export failed:', error);
+      alert(`Export failed: ${error.message}`);
+    }
     exportProgress.style.display = 'none';
     exportBtn.disabled = false;
-    exportBtn.textContent = 'Create GIF';
+    updateExportFormatUI();
+  } finally {
+    if (reinitializeAfterExport) {
+      reinitializeAfterExport = false;
+      initializeAnimation();
+    }
+  }
+});
+
+exportPauseBtn.addEventListener('click', () => {
+  if (!gifExporter) return;
+
+  if (gifExporter.isPaused) {
+    gifExporter.resume();
+    exportPauseBtn.textContent = 'Pause';
+  } else if (gifExporter.pause()) {
+    exportPauseBtn.textContent = 'Resume';
+  }
+});
+
+exportCancelBtn.addEventListener('click', () => {
+  if (!gifExporter || !gifExporter.isExporting) return;
+  exportCancelBtn.disabled = true;
+  exportStatus.textContent = 'Cancelling...';
+  gifExporter.cancel();
+});
+
+// ============================================================================
+// Poster Export
+// ============================================================================
+
+Object.entries(PAPER_SIZES).forEach(([key, { label }]) => {
+  const option = document.createElement('option');
+  option.value = key;
+  option.textContent = label;
+  posterPaper.appendChild(option);
+});
+posterPaper.value = 'A2';
+
+function updatePosterSizeInfo() {
+  const dpi = parseInt(posterDpi.value);
+  if (isNaN(dpi)) {
+    posterSizeInfo.textContent = '';
+    return;
+  }
+  const { width, height } = PosterExporter.getPixelSize(posterPaper.value, posterOrientation.value, dpi);
+  posterSizeInfo.textContent = `${width.toLocaleString()} × ${height.toLocaleString()} px`;
+}
+
+posterPaper.addEventListener('change', updatePosterSizeInfo);
+posterOrientation.addEventListener('change', updatePosterSizeInfo);
+posterDpi.addEventListener('input', updatePosterSizeInfo);
+updatePosterSizeInfo();
+
+posterBtn.addEventListener('click', async () => {
+  if (!posterExporter) return;
+
+  const dpi = parseInt(posterDpi.value);
+  if (isNaN(dpi) || dpi < 72 || dpi > 600) {
+    alert('Please enter a resolution between 72 and 600 DPI');
+    return;
+  }
+
+  posterBtn.disabled = true;
+  posterBtn.textContent = 'Creating...';
+
+  try {
+    // Let the button repaint before the (synchronous) layout work
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const format = posterFormat.value;
+    const blob = await posterExporter.export({
+      format,
+      paper: posterPaper.value,
+      orientation: posterOrientation.value,
+      dpi,
+      captureBox: captureBox.bounds,
+      background: posterBackground.value,
+      title: posterTitle.value.trim(),
+      subtitle: posterSubtitle.value.trim(),
+      includeStats: posterStats.checked,
+      legend: posterLegend.checked ? getPosterLegend() : null
+    });
+
+    GifExporter.download(blob, `strava-poster.${format}`);
+    console.log(`Poster ready! Size: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+  } catch (error) {
+    console.error('Poster export failed:', error);
+    alert(`Poster export failed: ${error.message}`);
+  } finally {
+    posterBtn.disabled = false;
+    posterBtn.textContent = 'Create Poster';
   }
 });
 
@@ -1714,6 +2916,22 @@ function encodeStateToURL() {
   params.set('lng', center.lng.toFixed(6));
   params.set('zoom', map.getZoom());
 
+  // Route colors
+  if (colorBySelect.value !== 'type') {
+    params.set('colorBy', colorBySelect.value);
+  }
+
+  // Base map
+  if (basemapSelect.value !== 'light') {
+    params.set('basemap', basemapSelect.value);
+  }
+  if (basemapSelect.value === 'none' || basemapSelect.value === 'labels') {
+    params.set('basemapColor', basemapColor.value);
+  }
+  if (basemapSelect.value === 'custom') {
+    params.set('basemapUrl', tileServerUrl.value.trim());
+  }
+
   // Capture box state
   params.set('ratio', captureBox.ratio);
   if (captureBox.bounds) {
@@ -1738,6 +2956,15 @@ function encodeStateToURL() {
   }
 
   // GIF export settings
+  if (exportFormat.value !== 'gif') {
+    params.set('format', exportFormat.value);
+  }
+  if (isVideoFormat(exportFormat.value)) {
+    params.set('bitrate', exportBitrate.value);
+  }
+  if (EXPORT_FORMATS[exportFormat.value].alpha && transparentBackground.checked) {
+    params.set('transparent', 'true');
+  }
   params.set('gifWidth', exportWidth.value);
   params.set('gifHeight', exportHeight.value);
   params.set('gifDuration', exportDuration.value);
@@ -1756,8 +2983,24 @@ function encodeStateToURL() {
     params.set('dateFormat', dateFormatSelect.value);
   }
 
-  // Animation current time
-  if (animationController && animationController.currentTime) {
+  // Comet trails (tail length in days, or clock minutes)
+  if (cometTrailsCheckbox.checked) {
+    params.set('comet', cometTailLength.value);
+  }
+
+  // Camera: follow window (days, or clock minutes) and keyframes - kept while following
+  // overrides them, so turning Follow off brings them back
+  if (followCameraCheckbox.checked) {
+    params.set('follow', followWindow.value);
+  }
+  if (!cameraTrack.isEmpty) {
+    params.set('camera', cameraTrack.serialize());
+  }
+
+  // Replay mode and current time (a clock time isn't a date, so only calendar replays keep it)
+  if (isClockReplay()) {
+    params.set('replay', replayModeSelect.value);
+  } else if (animationController && animationController.currentTime) {
     params.set('time', animationController.currentTime.toISOString().split('T')[0]);
   }
 
@@ -1786,6 +3029,12 @@ function restoreStateFromURL() {
     }
   }
 
+  // Route color mode
+  if (params.has('colorBy') && COLOR_MODES[params.get('colorBy')]) {
+    window.pendingColorByRestore = params.get('colorBy');
+    stateRestored = true;
+  }
+
   // Capture box ratio
   if (params.has('ratio')) {
     const ratio = params.get('ratio');
@@ -1828,6 +3077,23 @@ function restoreStateFromURL() {
   }
 
   // GIF export settings
+  if (params.has('format')) {
+    const format = params.get('format');
+    const option = Array.from(exportFormat.options).find(o => o.value === format);
+    if (option && !option.disabled) {
+      exportFormat.value = format;
+      updateExportFormatUI();
+    }
+  }
+  if (params.get('transparent') === 'true') {
+    transparentBackground.checked = true;
+  }
+  if (params.has('bitrate')) {
+    const bitrate = params.get('bitrate');
+    if (Array.from(exportBitrate.options).some(o => o.value === bitrate)) {
+      exportBitrate.value = bitrate;
+    }
+  }
   if (params.has('gifWidth')) {
     const width = parseInt(params.get('gifWidth'));
     if (!isNaN(width)) exportWidth.value = width;
@@ -1884,6 +3150,39 @@ function restoreStateFromURL() {
     stateRestored = true;
   }
 
+  // Comet trails
+  if (params.has('comet')) {
+    const tailLength = parseFloat(params.get('comet'));
+    if (tailLength > 0) {
+      window.pendingCometTrailsRestore = tailLength;
+      stateRestored = true;
+    }
+  }
+
+  // Follow camera
+  if (params.has('follow')) {
+    const windowLength = parseFloat(params.get('follow'));
+    if (windowLength > 0) {
+      window.pendingFollowCameraRestore = windowLength;
+      stateRestored = true;
+    }
+  }
+
+  // Camera keyframes
+  if (params.has('camera')) {
+    const track = CameraTrack.parse(params.get('camera'));
+    if (!track.isEmpty) {
+      window.pendingCameraRestore = track.keyframes;
+      stateRestored = true;
+    }
+  }
+
+  // Replay mode
+  if (REPLAY_MODES[params.get('replay')]) {
+    window.pendingReplayModeRestore = params.get('replay');
+    stateRestored = true;
+  }
+
   // Animation time
   if (params.has('time')) {
     // Store for later application (after animation is initialized)
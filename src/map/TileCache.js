@@ -0,0 +1,130 @@
+/**
+ * Offline tile cache
+ * Tiles are stored in Cache Storage under their URL, so the Leaflet layer and
+ * the export compositor can both read them without a connection. Only tiles
+ * pre-downloaded with precache() are stored - browsing doesn't fill the cache.
+ */
+import { getTileURL, getTileRange, hasRetinaTiles } from './tileSources.js';
+
+const CACHE_NAME = 'map-tiles-v1';
+
+// Parallel downloads while pre-caching
+const CONCURRENCY = 6;
+
+export class TileCache {
+  static isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * Number of tiles covering bounds over a zoom range
+   */
+  static countTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+      count += getTileRange(bounds, z).list.length;
+    }
+    return count;
+  }
+
+  constructor() {
+    this._cache = null;
+  }
+
+  async _open() {
+    if (!this._cache) {
+      this._cache = await caches.open(CACHE_NAME);
+    }
+    return this._cache;
+  }
+
+  /**
+   * Cached tile image, or null if it hasn't been downloaded.
+   * Falls back to the other resolution (@2x vs 1x) when the requested one is missing.
+   * @returns {Promise<Blob|null>}
+   */
+  async match(source, x, y, z, retina = false) {
+    if (!TileCache.isSupported()) return null;
+
+    const cache = await this._open();
+    const urls = [getTileURL(source, x, y, z, retina)];
+    if (hasRetinaTiles(source)) {
+      urls.push(getTileURL(source, x, y, z, !retina));
+    }
+
+    for (const url of urls) {
+      const response = await cache.match(url);
+      if (response) return response.blob();
+    }
+    return null;
+  }
+
+  /**
+   * Download every tile covering bounds for zooms minZoom..maxZoom.
+   * Tiles already in the cache are skipped, so an interrupted download can be resumed.
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops after the tiles in flight
+   * @param {Function} options.onProgress - Called with (done, total)
+   * @returns {Promise<{ downloaded: number, skipped: number, failed: number }>}
+   */
+  async precache(source, bounds, minZoom, maxZoom, { signal = null, onProgress = null } = {}) {
+    const cache = await this._open();
+    // @2x tiles serve both the map (scaled down) and sharp exports
+    const retina = hasRetinaTiles(source);
+
+    const queue = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      getTileRange(bounds, z).list.forEach(({ wrappedX, y }) => {
+        queue.push(getTileURL(source, wrappedX, y, z, retina));
+      });
+    }
+
+    const total = queue.length;
+    const result = { downloaded: 0, skipped: 0, failed: 0 };
+    let done = 0;
+
+    const worker = async () => {
+      while (queue.length > 0 && !signal?.aborted) {
+        const url = queue.shift();
+
+        try {
+          if (await cache.match(url)) {
+            result.skipped++;
+          } else {
+            const response = await fetch(url, { mode: 'cors', signal });
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            await cache.put(url, response);
+            result.downloaded++;
+          }
+        } catch (error) {
+          if (signal?.aborted) break;
+          result.failed++;
+          console.warn(`Failed to cache tile ${url}:`, error.message);
+        }
+
+        done++;
+        if (onProgress) onProgress(done, total);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, total) }, worker));
+    return result;
+  }
+
+  /**
+   * Number of cached tiles (all sources)
+   */
+  async count() {
+    if (!TileCache.isSupported()) return 0;
+    const cache = await this._open();
+    return (await cache.keys()).length;
+  }
+
+  async clear() {
+    if (!TileCache.isSupported()) return;
+    this._cache = null;
+    await caches.delete(CACHE_NAME);
+  }
+}
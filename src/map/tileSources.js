@@ -0,0 +1,203 @@
+/**
+ * Basemap tile sources
+ * One description per basemap, used both for the Leaflet layer and for
+ * fetching tiles directly when exports composite the base map.
+ */
+import L from 'leaflet';
+import { getLuminance } from '../animation/routeStyle.js';
+
+export const TILE_SIZE = 256;
+
+const CARTO_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+function cartoSource(id, label, style, background, dark = false) {
+  return {
+    id,
+    label,
+    url: `https://{s}.basemaps.cartocdn.com/${style}/{z}/{x}/{y}{r}.png`,
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: CARTO_ATTRIBUTION,
+    background, // Shown wherever tiles fail to load
+    dark // Routes and overlays adapt to dark maps
+  };
+}
+
+// Built-in tile styles. "labels", "custom" and "none" are built on demand
+// (see getBasemapSource) since they depend on a color or URL.
+export const BASEMAPS = {
+  // CartoDB Positron (gray/minimal style perfect for activity visualization)
+  light: cartoSource('light', 'Light', 'light_all', '#f5f5f5'),
+  dark: cartoSource('dark', 'Dark', 'dark_all', '#1a1a1a', true),
+  voyager: cartoSource('voyager', 'Voyager', 'rastertiles/voyager', '#f3f1ee'),
+  osm: {
+    id: 'osm',
+    label: 'OpenStreetMap',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: '',
+    maxZoom: 19,
+    attribution: OSM_ATTRIBUTION,
+    background: '#f2efe9',
+    dark: false,
+    noBulkDownload: true // The OSM tile usage policy forbids pre-downloading areas
+  }
+};
+
+export const BASEMAP_IDS = [...Object.keys(BASEMAPS), 'labels', 'custom', 'none'];
+
+export const DEFAULT_TILE_SOURCE = BASEMAPS.light;
+
+export const DEFAULT_BASEMAP_COLOR = '#ffffff';
+
+/**
+ * Whether a solid background color counts as dark
+ */
+export function isDarkColor(hex) {
+  return getLuminance(hex) < 0.2;
+}
+
+/**
+ * Tile source for a basemap id
+ * @param {string} id - One of BASEMAP_IDS
+ * @param {Object} options
+ * @param {string} options.url - XYZ template for 'custom'
+ * @param {string} options.color - Background color for 'labels' and 'none'
+ */
+export function getBasemapSource(id, { url = '', color = DEFAULT_BASEMAP_COLOR } = {}) {
+  if (BASEMAPS[id]) return BASEMAPS[id];
+
+  const dark = isDarkColor(color);
+  switch (id) {
+    case 'labels':
+      // Place names only, over a solid color - light or dark labels to suit it
+      return cartoSource('labels', 'Labels only', dark ? 'dark_only_labels' : 'light_only_labels', color, dark);
+    case 'custom':
+      return url ? createCustomTileSource(url) : DEFAULT_TILE_SOURCE;
+    case 'none':
+      return { id: 'none', label: 'None', url: null, background: color, dark };
+    default:
+      return DEFAULT_TILE_SOURCE;
+  }
+}
+
+/**
+ * Tile source for a user-supplied XYZ URL, e.g. a local server in front of an
+ * MBTiles file. Use {-y} for servers with TMS (bottom-up) row numbering.
+ */
+export function createCustomTileSource(url) {
+  return {
+    id: 'custom',
+    label: 'Custom',
+    url,
+    subdomains: 'abc',
+    maxZoom: 20,
+    attribution: 'Custom tiles',
+    background: '#f5f5f5',
+    dark: false
+  };
+}
+
+/**
+ * Whether the source serves @2x tiles (has an {r} placeholder)
+ */
+export function hasRetinaTiles(source) {
+  return !!source.url && source.url.includes('{r}');
+}
+
+/**
+ * URL of one tile, expanding {s}, {x}, {y}, {-y}, {z} and {r} like Leaflet does
+ */
+export function getTileURL(source, x, y, z, retina = false) {
+  const subdomains = source.subdomains || '';
+  const s = subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+  return source.url
+    .replace('{s}', s)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{-y}', Math.pow(2, z) - 1 - y)
+    .replace('{z}', z)
+    .replace('{r}', retina ? '@2x' : '');
+}
+
+export function toMercatorY(lat) {
+  const latRad = lat * Math.PI / 180;
+  return Math.log(Math.tan(Math.PI / 4 + latRad / 2));
+}
+
+/**
+ * Tiles covering bounds at zoom, plus the bounds' origin and span in world pixels
+ * @param {L.LatLngBounds} bounds
+ * @returns {{ list: Array<{ x, y, wrappedX }>, originX, originY, spanX, spanY }}
+ */
+export function getTileRange(bounds, zoom) {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const tileCount = Math.pow(2, zoom);
+
+  const originX = (bounds.getWest() + 180) / 360 * worldSize;
+  const endX = (bounds.getEast() + 180) / 360 * worldSize;
+  const originY = (1 - toMercatorY(bounds.getNorth()) / Math.PI) / 2 * worldSize;
+  const endY = (1 - toMercatorY(bounds.getSouth()) / Math.PI) / 2 * worldSize;
+
+  const minX = Math.floor(originX / TILE_SIZE);
+  const maxX = Math.floor((endX - 1e-9) / TILE_SIZE);
+  const minY = Math.max(0, Math.floor(originY / TILE_SIZE));
+  const maxY = Math.min(tileCount - 1, Math.floor((endY - 1e-9) / TILE_SIZE));
+
+  const list = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      // Wrap across the antimeridian
+      list.push({ x, y, wrappedX: ((x % tileCount) + tileCount) % tileCount });
+    }
+  }
+
+  return { list, originX, originY, spanX: endX - originX, spanY: endY - originY };
+}
+
+// Tile layer that shows pre-downloaded tiles from the TileCache before going to the network
+const CachedTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img');
+    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = '';
+
+    const url = this.getTileUrl(coords);
+    const { cache, source } = this.options;
+    cache.match(source, coords.x, coords.y, coords.z, L.Browser.retina)
+      .catch(() => null)
+      .then(blob => {
+        if (!blob) {
+          tile.src = url;
+          return;
+        }
+        const objectURL = URL.createObjectURL(blob);
+        tile.addEventListener('load', () => URL.revokeObjectURL(objectURL), { once: true });
+        tile.src = objectURL;
+      });
+
+    return tile;
+  }
+});
+
+/**
+ * Leaflet layer for a tile source, reading from cache first when one is given
+ * (null for sources without tiles)
+ * @param {TileCache} cache
+ */
+export function createTileLayer(source, cache = null) {
+  if (!source.url) return null;
+
+  const options = {
+    attribution: source.attribution,
+    subdomains: source.subdomains || 'abc',
+    maxZoom: source.maxZoom
+  };
+
+  if (cache) {
+    return new CachedTileLayer(source.url, { ...options, cache, source });
+  }
+  return L.tileLayer(source.url, options);
+}
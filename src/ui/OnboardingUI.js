@@ -2,11 +2,38 @@
  * Onboarding UI for setting up Strava API credentials
  */
 
+// File types offered by the import pickers (format is detected from content anyway)
+export const IMPORT_ACCEPT = '.gpx,.tcx,.fit,.geojson,.json,.zip,.gz';
+
+/**
+ * Import activity files, report the ones that failed, and merge the rest into
+ * the cache - shared by onboarding and the main Import files button
+ * @param {StravaAPI} api
+ * @param {FileList|Array<File>} files
+ * @param {Function} onProgress - Called with activities imported so far
+ * @returns {Promise<Array>} Every cached activity after the merge
+ */
+export async function importAndMergeFiles(api, files, onProgress = null) {
+  const { activities, errors } = await api.importFiles(files, onProgress);
+
+  if (errors.length > 0) {
+    const details = errors.map(e => `• ${e.file}: ${e.error}`).join('\n');
+    alert(`Imported ${activities.length} activities. ${errors.length} file(s) failed:\n\n${details}`);
+  }
+
+  if (activities.length === 0) {
+    throw new Error('No activities could be imported');
+  }
+
+  return api.mergeAndCacheActivities(activities);
+}
+
 export class OnboardingUI {
-  constructor(auth, api, onComplete) {
+  constructor(auth, api, onComplete, profiles = null) {
     this.auth = auth;
     this.api = api;
     this.onComplete = onComplete;
+    this.profiles = profiles;
     this.currentStep = 1;
   }
 
@@ -53,6 +80,39 @@ export class OnboardingUI {
     return 'http://localhost:9999';
   }
 
+  /**
+   * Profile picker shown in the header, so a new (empty) profile isn't a dead end
+   */
+  getProfileSwitcherHTML() {
+    if (!this.profiles) return '';
+
+    const activeId = this.profiles.getActiveId();
+    const options = this.profiles.list().map(p =>
+      `<option value="${p.id}" ${p.id === activeId ? 'selected' : ''}>${this._escapeHTML(p.name)}</option>`
+    ).join('');
+
+    return `
+      <div class="onboarding-profile">
+        <i class="fas fa-user"></i> Profile:
+        <select onchange="onboarding.switchProfile(this.value)">${options}</select>
+      </div>
+    `;
+  }
+
+  _escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Switch to another profile (each has its own credentials and cache)
+   */
+  switchProfile(profileId) {
+    this.profiles.setActive(profileId);
+    window.location.reload();
+  }
+
   /**
    * Get onboarding HTML
    */
@@ -66,6 +126,7 @@ export class OnboardingUI {
           <div class="onboarding-header">
             <h1><i class="fas fa-map-marked-alt"></i> Strava Activity Map</h1>
             <p>Visualize and export your Strava activities as animated GIFs</p>
+            ${this.getProfileSwitcherHTML()}
           </div>
 
           <!-- Step 1: Welcome & Privacy -->
@@ -82,6 +143,7 @@ export class OnboardingUI {
             </div>
 
             <button class="btn-primary" onclick="onboarding.nextStep()">Get Started</button>
+            <button class="btn-link" onclick="onboarding.showStep(5)">No Strava API access? Import files or a Strava archive instead</button>
           </div>
 
           <!-- Step 2: Create Strava API App -->
@@ -182,7 +244,8 @@ export class OnboardingUI {
 
             <div class="progress-container" id="fetch-progress" style="display: none;">
               <div class="spinner"></div>
-              <p>Fetching: <strong id="fetch-count">0</strong> activities</p>
+              <p><span id="fetch-label">Fetching</span>: <strong id="fetch-count">0</strong> activities</p>
+              <p id="fetch-wait" class="fetch-wait" style="display: none;"></p>
             </div>
 
             <div id="fetch-error" class="error-message" style="display: none;"></div>
@@ -471,6 +534,32 @@ export class OnboardingUI {
 
     const optionsEl = document.getElementById('fetch-options');
     const cacheInfo = await this.api.getCacheInfo();
+    const checkpoint = await this.api.getFetchCheckpoint();
+    const resumeNote = checkpoint
+      ? ` &nbsp;·&nbsp; resumes interrupted fetch (${checkpoint.activities.length} so far)`
+      : '';
+
+    const importOption = `
+      <div class="fetch-option">
+        <button class="btn-secondary" onclick="onboarding.importFiles()">
+          Import files
+        </button>
+        <small>GPX, TCX, FIT, GeoJSON or a Strava data export (.zip)</small>
+      </div>
+    `;
+
+    if (!this.auth.hasCredentials()) {
+      // Reached from the welcome step without connecting Strava
+      optionsEl.innerHTML = `
+        ${importOption}
+        <div class="fetch-option">
+          <button class="btn-primary" onclick="onboarding.showStep(2)">
+            Connect Strava instead
+          </button>
+        </div>
+      `;
+      return;
+    }
 
     if (cacheInfo) {
       const fromStr = this._formatDate(cacheInfo.minDate);
@@ -492,12 +581,28 @@ export class OnboardingUI {
           <small>From ${newFromStr}</small>
         </div>
 
+        <div class="fetch-option">
+          <button class="btn-secondary" onclick="onboarding.syncRecentActivities()">
+            Sync recent changes
+          </button>
+          <small>
+            Picks up edits and deletions from the last
+            <select id="sync-window-days" class="inline-select">
+              <option value="30">30 days</option>
+              <option value="90" selected>90 days</option>
+              <option value="365">year</option>
+            </select>
+          </small>
+        </div>
+
         <div class="fetch-option">
           <button class="btn-secondary" onclick="onboarding.fetchAllActivities()">
             Fetch all activities
           </button>
-          <small>Deletes cache and re-fetches everything</small>
+          <small>Deletes cache and re-fetches everything${resumeNote}</small>
         </div>
+
+        ${importOption}
       `;
     } else {
       optionsEl.innerHTML = `
@@ -505,8 +610,10 @@ export class OnboardingUI {
           <button class="btn-primary" onclick="onboarding.fetchAllActivities()">
             Fetch Activities
           </button>
-          <small>Download all your activities from Strava</small>
+          <small>Download all your activities from Strava${resumeNote}</small>
         </div>
+
+        ${importOption}
       `;
     }
   }
@@ -533,45 +640,127 @@ export class OnboardingUI {
     afterDate.setHours(0, 0, 0, 0);
     const afterEpoch = Math.floor(afterDate.getTime() / 1000);
 
-    await this._doFetch(async (onProgress) => {
-      const newActivities = await this.api.fetchActivitiesAfter(afterEpoch, onProgress);
+    await this._doFetch(async (onProgress, onWait) => {
+      const newActivities = await this.api.fetchActivitiesAfter(afterEpoch, onProgress, { onWait });
       return this.api.mergeAndCacheActivities(newActivities);
     });
   }
 
+  /**
+   * Re-fetch a recent window, reconcile edits/deletions and report what changed
+   */
+  async syncRecentActivities() {
+    const days = parseInt(document.getElementById('sync-window-days').value, 10);
+
+    await this._doFetch(async (onProgress, onWait) => {
+      const { activities, diff } = await this.api.reconcileRecentActivities(days, onProgress, { onWait });
+      alert(this._formatSyncReport(diff));
+      return activities;
+    }, 'Syncing');
+  }
+
+  /**
+   * Summarize a reconciliation diff, listing a few names per category
+   */
+  _formatSyncReport({ added, updated, removed }) {
+    if (added.length + updated.length + removed.length === 0) {
+      return 'Sync complete: everything is up to date.';
+    }
+
+    const section = (label, list) => {
+      if (list.length === 0) return '';
+      const names = list.slice(0, 5).map(a => `  • ${a.name}`).join('\n');
+      const more = list.length > 5 ? `\n  …and ${list.length - 5} more` : '';
+      return `\n\n${label} (${list.length}):\n${names}${more}`;
+    };
+
+    return `Sync complete: ${added.length} added, ${updated.length} updated, ${removed.length} removed.` +
+      section('Added', added) +
+      section('Updated', updated) +
+      section('Removed', removed);
+  }
+
   /**
    * Fetch all activities (clears cache first)
    */
   async fetchAllActivities() {
     await this.api.clearCache();
-    await this._doFetch(async (onProgress) => {
-      const activities = await this.api.fetchAllActivities(onProgress);
+    await this._doFetch(async (onProgress, onWait) => {
+      const activities = await this.api.fetchAllActivities(onProgress, { onWait });
       await this.api.cacheActivities(activities);
       return activities;
     });
   }
 
+  /**
+   * Import activity files picked by the user and merge them into the cache
+   */
+  importFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = IMPORT_ACCEPT;
+    input.multiple = true;
+
+    input.onchange = () => {
+      if (input.files.length === 0) return;
+
+      this._doFetch((onProgress) => importAndMergeFiles(this.api, input.files, onProgress), 'Importing');
+    };
+
+    input.click();
+  }
+
   /**
    * Shared fetch UI logic
    */
-  async _doFetch(fetchFn) {
+  async _doFetch(fetchFn, label = 'Fetching') {
     const progressEl = document.getElementById('fetch-progress');
+    const labelEl = document.getElementById('fetch-label');
     const countEl = document.getElementById('fetch-count');
+    const waitEl = document.getElementById('fetch-wait');
     const errorEl = document.getElementById('fetch-error');
     const optionsEl = document.getElementById('fetch-options');
+    let waitTimer = null;
+
+    const clearWait = () => {
+      clearInterval(waitTimer);
+      waitTimer = null;
+      waitEl.style.display = 'none';
+    };
+
+    // Count down to the end of Strava's 15-minute rate limit window
+    const onWait = (seconds) => {
+      clearWait();
+      const resumeAt = Date.now() + seconds * 1000;
+      const render = () => {
+        const remaining = Math.max(0, Math.ceil((resumeAt - Date.now()) / 1000));
+        const minutes = Math.floor(remaining / 60);
+        const secs = String(remaining % 60).padStart(2, '0');
+        waitEl.textContent = `Strava rate limit reached. Resuming in ${minutes}:${secs} - you can leave this tab open, or reload later to continue where it stopped.`;
+        if (remaining === 0) clearWait();
+      };
+      render();
+      waitEl.style.display = 'block';
+      waitTimer = setInterval(render, 1000);
+    };
 
     try {
       optionsEl.style.display = 'none';
       progressEl.style.display = 'block';
       errorEl.style.display = 'none';
+      labelEl.textContent = label;
+      countEl.textContent = 0;
 
       const activities = await fetchFn((count) => {
+        clearWait();
         countEl.textContent = count;
-      });
+      }, onWait);
 
+      clearWait();
       this.complete(activities);
 
     } catch (error) {
+      clearWait();
       console.error('Failed to fetch activities:', error);
       errorEl.textContent = `Error: ${error.message}`;
       errorEl.style.display = 'block';
@@ -584,9 +773,11 @@ export class OnboardingUI {
    * Start over
    */
   async startOver() {
-    if (confirm('This will clear all your data and start over. Continue?')) {
+    if (confirm('This will clear this profile\'s credentials and data and start over. Continue?')) {
       this.auth.clearAll();
       await this.api.clearCache();
+      await this.api.clearStreams();
+      await this.api.clearFetchCheckpoint();
       this.showStep(1);
     }
   }
@@ -649,6 +840,18 @@ export class OnboardingUI {
         opacity: 0.9;
       }
 
+      .onboarding-profile {
+        margin-top: 12px;
+        font-size: 14px;
+      }
+
+      .onboarding-profile select {
+        margin-left: 4px;
+        padding: 2px 6px;
+        border-radius: 4px;
+        border: none;
+      }
+
       .onboarding-step {
         padding: 30px;
       }
@@ -816,6 +1019,18 @@ export class OnboardingUI {
         background: #555;
       }
 
+      .btn-link {
+        display: block;
+        width: 100%;
+        margin-top: 12px;
+        background: none;
+        border: none;
+        color: #0066cc;
+        font-size: 13px;
+        cursor: pointer;
+        text-decoration: underline;
+      }
+
       .button-row {
         display: flex;
         gap: 10px;
@@ -872,6 +1087,15 @@ export class OnboardingUI {
         margin-top: 10px;
       }
 
+      .fetch-wait {
+        background: #fff8e1;
+        border: 1px solid #ffe082;
+        color: #8d6e00;
+        padding: 10px;
+        border-radius: 6px;
+        font-size: 13px;
+      }
+
       .fetch-option {
         margin: 12px 0;
       }
@@ -881,6 +1105,13 @@ export class OnboardingUI {
         margin-bottom: 4px;
       }
 
+      .inline-select {
+        font-size: 12px;
+        padding: 1px 4px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+      }
+
       .fetch-option small {
         display: block;
         text-align: center;
@@ -0,0 +1,74 @@
+/**
+ * Geographic helpers shared by importers and renderers
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Great-circle distance between two [lat, lng] points in meters
+ */
+export function haversineDistance([lat1, lng1], [lat2, lng2]) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Simplify a path of [lat, lng] points with Douglas-Peucker.
+ * Tolerance is in degrees (1e-5 ≈ 1 m), roughly what Strava's summary polylines use.
+ */
+export function simplifyPath(points, tolerance = 5e-5) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative to avoid blowing the stack on long tracks
+  const stack = [[0, points.length - 1]];
+  const tolSq = tolerance * tolerance;
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistSq = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distSq = segmentDistanceSq(points[i], points[first], points[last]);
+      if (distSq > maxDistSq) {
+        maxDistSq = distSq;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistSq > tolSq) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+function segmentDistanceSq([px, py], [ax, ay], [bx, by]) {
+  let dx = bx - ax;
+  let dy = by - ay;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      ax = bx;
+      ay = by;
+    } else if (t > 0) {
+      ax += dx * t;
+      ay += dy * t;
+    }
+  }
+
+  dx = px - ax;
+  dy = py - ay;
+  return dx * dx + dy * dy;
+}
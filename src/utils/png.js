@@ -0,0 +1,62 @@
+/**
+ * PNG chunk helpers shared by the APNG encoder and poster export
+ */
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: big-endian length, type, data, CRC of type + data
+ */
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Record the print resolution in a PNG (pHYs chunk right after IHDR),
+ * so print software sizes it correctly
+ * @param {Uint8Array} png - A complete PNG file
+ * @returns {Uint8Array}
+ */
+export function setPNGResolution(png, dpi) {
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const phys = new Uint8Array(9);
+  const view = new DataView(phys.buffer);
+  view.setUint32(0, pixelsPerMeter);
+  view.setUint32(4, pixelsPerMeter);
+  phys[8] = 1; // unit: meter
+
+  const chunk = pngChunk('pHYs', phys);
+  const ihdrEnd = 8 + 12 + 13; // signature + IHDR chunk
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}